@@ -0,0 +1,239 @@
+import IncrementalCarver from "/lib/seam-carving/incremental.js";
+import { findVerticalSeam } from "/lib/seam-carving/seam-finder.js";
+import { removeVerticalSeam } from "/lib/seam-carving/seam-ops.js";
+
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * @typedef {"noise" | "waves" | "shapes"} Pattern
+ */
+
+/**
+ * @typedef {Object} BenchmarkCase
+ * @property {Pattern} pattern - Pattern of the generated image.
+ * @property {number} width - Width of the generated image.
+ * @property {number} height - Height of the generated image.
+ * @property {number} seams - Number of seams to remove.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {Object} BenchmarkRun
+ * @property {number} time - Elapsed time in milliseconds.
+ * @property {Int32Array[]} seams - Removed seams, in order.
+ * @property {ImageData} image - Carved image.
+ */
+
+/** @type {BenchmarkCase[]} */
+const cases = [
+  { pattern: "noise", width: 256, height: 256, seams: 64, options: {} },
+  { pattern: "waves", width: 512, height: 384, seams: 64, options: {} },
+  { pattern: "shapes", width: 512, height: 384, seams: 64, options: {} },
+  {
+    pattern: "shapes",
+    width: 512,
+    height: 384,
+    seams: 64,
+    options: { energyFunction: "sobel" },
+  },
+  {
+    pattern: "waves",
+    width: 256,
+    height: 256,
+    seams: 32,
+    options: { energyFunction: "entropy" },
+  },
+  {
+    pattern: "shapes",
+    width: 512,
+    height: 384,
+    seams: 64,
+    options: { energyMode: "forward" },
+  },
+];
+
+/**
+ * Returns a pseudo-random number generator seeded with the specified value.
+ *
+ * @param {number} seed - Seed value.
+ * @returns {() => number} Function that returns numbers between 0 and 1.
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+}
+
+/**
+ * Generates an opaque image with the specified pattern.
+ *
+ * @param {Pattern} pattern - Pattern of the image.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @returns {ImageData}
+ */
+function generateImage(pattern, width, height) {
+  const image = new ImageData(width, height);
+  const random = createRandom(width * height);
+
+  const circles = Array.from({ length: 12 }, () => ({
+    x: random() * width,
+    y: random() * height,
+    radius: 8 + random() * 48,
+    color: [random() * 255, random() * 255, random() * 255],
+  }));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) << 2;
+      let color = [0, 0, 0];
+
+      switch (pattern) {
+        case "noise":
+          color = [random() * 255, random() * 255, random() * 255];
+          break;
+
+        case "waves": {
+          const value = 128 + 64 * Math.sin(x / 9) + 48 * Math.cos(y / 13);
+          color = [value, 255 - value, (x + y) % 256];
+          break;
+        }
+
+        case "shapes": {
+          color = [40, 48 + (y * 64) / height, 72];
+          for (const circle of circles) {
+            const squaredDistance = (x - circle.x) ** 2 + (y - circle.y) ** 2;
+            if (squaredDistance <= circle.radius ** 2) color = circle.color;
+          }
+          break;
+        }
+      }
+
+      image.data[offset] = color[0];
+      image.data[offset + 1] = color[1];
+      image.data[offset + 2] = color[2];
+      image.data[offset + 3] = 255;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Removes seams by recomputing the energy map and cumulative matrix after every removal.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {BenchmarkCase} benchmarkCase - Benchmark case.
+ * @returns {BenchmarkRun}
+ */
+function runFull(image, benchmarkCase) {
+  const start = performance.now();
+  const seams = [];
+
+  for (let i = 0; i < benchmarkCase.seams; i++) {
+    const { seam } = findVerticalSeam(image, benchmarkCase.options);
+    seams.push(seam);
+    image = removeVerticalSeam(image, seam);
+  }
+
+  return { time: performance.now() - start, seams, image };
+}
+
+/**
+ * Removes seams by updating the energy map and cumulative matrix incrementally.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {BenchmarkCase} benchmarkCase - Benchmark case.
+ * @returns {BenchmarkRun}
+ */
+function runIncremental(image, benchmarkCase) {
+  const start = performance.now();
+  const seams = [];
+
+  const carver = new IncrementalCarver(image, benchmarkCase.options);
+  for (let i = 0; i < benchmarkCase.seams; i++) {
+    const seam = carver.findSeam();
+    seams.push(seam);
+    carver.removeSeam(seam);
+  }
+
+  return { time: performance.now() - start, seams, image: carver.getImage() };
+}
+
+/**
+ * Returns whether two runs removed the same seams and produced the same image.
+ *
+ * @param {BenchmarkRun} a - First run.
+ * @param {BenchmarkRun} b - Second run.
+ * @returns {boolean}
+ */
+function isIdentical(a, b) {
+  const hasSameSeams = a.seams.every((seam, i) =>
+    seam.every((x, y) => x == b.seams[i][y]),
+  );
+  const hasSameImage = a.image.data.every(
+    (value, i) => value == b.image.data[i],
+  );
+
+  return hasSameSeams && hasSameImage;
+}
+
+/**
+ * Appends a result row to the table.
+ *
+ * @param {BenchmarkCase} benchmarkCase - Benchmark case.
+ * @param {BenchmarkRun} full - Full recompute run.
+ * @param {BenchmarkRun} incremental - Incremental run.
+ */
+function addRow(benchmarkCase, full, incremental) {
+  const { energyFunction = "gradient", energyMode = "backward" } =
+    benchmarkCase.options;
+  const identical = isIdentical(full, incremental);
+
+  const cells = [
+    benchmarkCase.pattern,
+    `${benchmarkCase.width}x${benchmarkCase.height}`,
+    energyMode == "forward" ? "forward" : energyFunction,
+    `${benchmarkCase.seams}`,
+    full.time.toFixed(0),
+    incremental.time.toFixed(0),
+    `${(full.time / incremental.time).toFixed(2)}x`,
+    identical ? "yes" : "no",
+  ];
+
+  const row = document.createElement("tr");
+  for (const text of cells) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+
+  row.lastElementChild.setAttribute(
+    "data-status",
+    identical ? "success" : "error",
+  );
+  document.querySelector("tbody").appendChild(row);
+}
+
+async function runBenchmark() {
+  const button = document.querySelector("button");
+  button.disabled = true;
+  document.querySelector("tbody").replaceChildren();
+
+  for (const benchmarkCase of cases) {
+    const { pattern, width, height } = benchmarkCase;
+    const image = generateImage(pattern, width, height);
+    const full = runFull(image, benchmarkCase);
+    const incremental = runIncremental(image, benchmarkCase);
+    addRow(benchmarkCase, full, incremental);
+
+    // Let the table repaint between cases
+    await new Promise(requestAnimationFrame);
+  }
+
+  button.disabled = false;
+}
+
+document.querySelector("button").addEventListener("click", runBenchmark);
@@ -1,3 +1,5 @@
+import { renderIcons } from "/registry/icons.js";
+
 /**
  * @typedef {Object} ComponentProperties
  * @property {string} tag - HTML tag of the component. Must contain at least one dash.
@@ -22,6 +24,7 @@ export default class Component extends HTMLElement {
     this.root = this.attachShadow({ mode: "open" });
     this.loadStyles();
     this.root.innerHTML = this.render();
+    renderIcons(this.root);
   }
 
   /**
@@ -0,0 +1,150 @@
+import Component from "/components/base.js";
+import committingEvent from "/lib/events/committing-event.js";
+import store from "/lib/store/store.js";
+import { html } from "/lib/utils.js";
+
+/** @import { State } from "/lib/store/store.js" */
+
+/**
+ * @typedef {"left" | "right"} PanelSide
+ */
+
+const STORAGE_KEY_PREFIX = "seam-carving:panel-collapsed:";
+
+/**
+ * Collapsible panel floating over one side of the playground. Subclasses provide its title and content.
+ * Whether the panel is collapsed is kept in local storage, so that it persists between sessions.
+ */
+export default class Panel extends Component {
+  /**
+   * Side of the window the panel floats over. Static, because the panel is rendered before instance fields are set.
+   *
+   * @type {PanelSide}
+   */
+  static side = "left";
+
+  /** Title shown in the header of the panel. */
+  static title = "";
+
+  storeClient;
+  committingClient;
+
+  /** @type {HTMLElement} */
+  panel;
+
+  /** @type {HTMLButtonElement} */
+  toggleButton;
+
+  collapsed = false;
+
+  constructor() {
+    super();
+
+    this.storeClient = store.createClient();
+    this.committingClient = committingEvent.createClient();
+    this.panel = this.root.querySelector(".panel");
+    this.toggleButton = this.root.querySelector(".toggle");
+    this.toggle = this.toggle.bind(this);
+  }
+
+  render() {
+    const { side, title } = /** @type {typeof Panel} */ (this.constructor);
+    return html`
+      <aside class="panel" data-side="${side}">
+        <header>
+          <h2>${title}</h2>
+          <button class="toggle">
+            <i class="collapse-icon" data-lucide="panel-${side}-close"></i>
+            <i class="expand-icon" data-lucide="panel-${side}-open"></i>
+          </button>
+        </header>
+        <div class="content">${this.renderContent()}</div>
+      </aside>
+    `;
+  }
+
+  /**
+   * Returns the initial HTML content of the panel, under its header.
+   *
+   * @returns {string}
+   * @throws {Error} Throws if method is not overriden by subclass.
+   */
+  renderContent() {
+    throw new Error("renderContent() has not been implemented.");
+  }
+
+  connectedCallback() {
+    this.setCollapsed(localStorage.getItem(this.getStorageKey()) == "true");
+    this.toggleButton.addEventListener("click", this.toggle);
+  }
+
+  disconnectedCallback() {
+    this.toggleButton.removeEventListener("click", this.toggle);
+    this.storeClient.unsubscribe();
+    this.committingClient.unsubscribe();
+  }
+
+  /**
+   * Returns the local storage key holding whether the panel is collapsed.
+   *
+   * @returns {string}
+   */
+  getStorageKey() {
+    const { side } = /** @type {typeof Panel} */ (this.constructor);
+    return STORAGE_KEY_PREFIX + side;
+  }
+
+  toggle() {
+    this.setCollapsed(!this.collapsed);
+    localStorage.setItem(this.getStorageKey(), String(this.collapsed));
+  }
+
+  /**
+   * @param {boolean} collapsed
+   */
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.panel.dataset.collapsed = String(collapsed);
+    this.toggleButton.title = collapsed ? "Expand panel" : "Collapse panel";
+    this.toggleButton.setAttribute("aria-expanded", String(!collapsed));
+  }
+
+  /**
+   * Binds a form control to a state property both ways. Changes made through the control take no
+   * history snapshot, the next image change captures them. Changes to the view apply while the control
+   * is being changed, such as while a slider is dragged, others once the change is confirmed.
+   * Checkboxes hold "true" or "false" as their value.
+   *
+   * @template {keyof State} T
+   * @param {string} name - Name of the form control.
+   * @param {T} key - State property key.
+   * @param {(value: string) => State[T]} parse - Converts the value of the control to a state value.
+   * @param {(value: State[T]) => string} [format] - Converts a state value to the value of the control. Defaults to String().
+   */
+  bind(name, key, parse, format = String) {
+    /** @type {HTMLInputElement | HTMLSelectElement} */
+    const control = this.root.querySelector(`[name="${name}"]`);
+    const isCheckbox = control.type == "checkbox";
+    const isView = store.isViewKey(key);
+
+    const read = () => (isCheckbox ? String(control.checked) : control.value);
+
+    /** @param {State[T]} value */
+    const write = (value) => {
+      if (isCheckbox) control.checked = format(value) == "true";
+      else control.value = format(value);
+    };
+
+    write(store.get(key));
+
+    control.addEventListener(isView ? "input" : "change", () => {
+      const value = parse(read());
+      write(value);
+      if (store.get(key) === value) return;
+
+      this.storeClient.set(key, value);
+    });
+
+    this.storeClient.subscribe(key, write);
+  }
+}
@@ -0,0 +1,522 @@
+import Component from "/components/base.js";
+import Panel from "/components/panels/panel.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { getColorMaps } from "/lib/color-maps.js";
+import { getEnergyFunctions } from "/lib/seam-carving/energy.js";
+import { renderSeamIndex } from "/lib/seam-carving/seam-index.js";
+import {
+  commitImage,
+  indexSeams,
+  isCommitting,
+  retarget,
+  startCommitting,
+  stopCommitting,
+} from "/lib/seam-carving/carver.js";
+import { html } from "/lib/utils.js";
+
+/** @import { ColorMap } from "/lib/color-maps.js" */
+/** @import { EnergyFunction } from "/lib/seam-carving/energy.js" */
+/** @import { EnergyMode } from "/lib/seam-carving/seam-finder.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { PanelSide } from "/components/panels/panel.js" */
+/** @import { ResizeEntry } from "/lib/seam-carving/live-resize.js" */
+
+/** @type {Record<EnergyFunction, string>} */
+const energyFunctionLabels = {
+  gradient: "Gradient",
+  sobel: "Sobel",
+  scharr: "Scharr",
+  laplacian: "Laplacian",
+  entropy: "Local entropy",
+};
+
+/** @type {Record<ColorMap, string>} */
+const colorMapLabels = {
+  grayscale: "Grayscale",
+  viridis: "Viridis",
+  inferno: "Inferno",
+};
+
+/**
+ * Parses the value of a target size input, where an empty value keeps the current size.
+ *
+ * @param {string} value - Value of the input.
+ * @returns {number | null}
+ */
+function parseTargetSize(value) {
+  const size = Math.round(Number(value));
+  return value == "" || !Number.isFinite(size) ? null : Math.max(1, size);
+}
+
+/**
+ * Right panel holding the parameters of the seam carving algorithm.
+ */
+export default class ParametersPanel extends Panel {
+  /** @type {PanelSide} */
+  static side = "right";
+  static title = "Parameters";
+
+  /** @type {HTMLInputElement} */
+  widthInput;
+
+  /** @type {HTMLInputElement} */
+  heightInput;
+
+  /** @type {HTMLButtonElement} */
+  retargetButton;
+
+  /** @type {HTMLElement} */
+  seamOrder;
+
+  /** @type {HTMLCanvasElement} */
+  seamOrderCanvas;
+
+  /** @type {HTMLElement} */
+  seamOrderCaption;
+
+  /** @type {HTMLButtonElement} */
+  indexButton;
+
+  /** @type {HTMLInputElement} */
+  indexWidthInput;
+
+  /** Whether the image is being retargeted from the panel. */
+  retargeting = false;
+
+  /** Whether the active image is being indexed from the panel. */
+  indexing = false;
+
+  /**
+   * Active image when the index width slider was grabbed, restored if it is released at the same width.
+   *
+   * @type {ResizeEntry | null}
+   */
+  indexStart = null;
+
+  /**
+   * Latest image rendered from the seam index while the slider is dragged, committed once it is released.
+   *
+   * @type {ImageData | null}
+   */
+  indexPreview = null;
+
+  /**
+   * Images rendered from the seam index, which the slider can keep resizing.
+   *
+   * @type {WeakSet<ImageData>}
+   */
+  indexedImages = new WeakSet();
+
+  constructor() {
+    super();
+
+    this.widthInput = this.root.querySelector('[name="targetWidth"]');
+    this.heightInput = this.root.querySelector('[name="targetHeight"]');
+    this.retargetButton = this.root.querySelector('[data-action="retarget"]');
+    this.seamOrder = this.root.querySelector(".seam-order");
+    this.seamOrderCanvas = this.seamOrder.querySelector("canvas");
+    this.seamOrderCaption = this.seamOrder.querySelector("figcaption");
+    this.indexButton = this.root.querySelector('[data-action="index"]');
+    this.indexWidthInput = this.root.querySelector('[name="indexWidth"]');
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleRetargetClick = this.handleRetargetClick.bind(this);
+    this.handleIndexClick = this.handleIndexClick.bind(this);
+    this.handleIndexWidthInput = this.handleIndexWidthInput.bind(this);
+    this.handleIndexWidthChange = this.handleIndexWidthChange.bind(this);
+    this.renderSeamOrder = this.renderSeamOrder.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  renderContent() {
+    const energyFunctionOptions = getEnergyFunctions()
+      .map(
+        (name) =>
+          `<option value="${name}">${energyFunctionLabels[name]}</option>`,
+      )
+      .join("");
+
+    const colorMapOptions = getColorMaps()
+      .map((name) => `<option value="${name}">${colorMapLabels[name]}</option>`)
+      .join("");
+
+    return html`
+      <section>
+        <h3>Energy</h3>
+        <label>
+          Function
+          <select name="energyFunction">
+            ${energyFunctionOptions}
+          </select>
+        </label>
+        <label>
+          Mode
+          <select name="energyMode">
+            <option value="backward">Backward</option>
+            <option value="forward">Forward</option>
+          </select>
+        </label>
+      </section>
+      <section>
+        <h3>Seams</h3>
+        <label>
+          Direction
+          <select name="direction">
+            <option value="vertical">Vertical</option>
+            <option value="horizontal">Horizontal</option>
+          </select>
+        </label>
+      </section>
+      <section>
+        <h3>Retargeting</h3>
+        <label>
+          Width
+          <input type="number" name="targetWidth" min="1" step="1" />
+        </label>
+        <label>
+          Height
+          <input type="number" name="targetHeight" min="1" step="1" />
+        </label>
+        <button data-action="retarget">Retarget</button>
+        <figure
+          class="seam-order"
+          title="Seams removed by the latest carving, from left to right. Light ones are vertical, dark ones horizontal."
+          hidden
+        >
+          <canvas height="1"></canvas>
+          <figcaption></figcaption>
+        </figure>
+      </section>
+      <section>
+        <h3>Multi-size index</h3>
+        <button data-action="index">Build index</button>
+        <label>
+          Width
+          <input type="range" name="indexWidth" min="1" max="1" step="1" />
+        </label>
+      </section>
+      <section>
+        <h3>View</h3>
+        <label>
+          Energy heatmap
+          <input type="checkbox" name="showEnergy" />
+        </label>
+        <label>
+          Color map
+          <select name="energyColorMap">
+            ${colorMapOptions}
+          </select>
+        </label>
+        <label>
+          Opacity
+          <input
+            type="range"
+            name="energyOpacity"
+            min="0"
+            max="1"
+            step="0.05"
+          />
+        </label>
+        <label>
+          Cumulative energy
+          <input type="checkbox" name="showCumulative" />
+        </label>
+        <label>
+          Rows per second
+          <input
+            type="range"
+            name="cumulativeRowsPerSecond"
+            min="10"
+            max="600"
+            step="10"
+          />
+        </label>
+        <label>
+          Side-by-side comparison
+          <input type="checkbox" name="showComparison" />
+        </label>
+        <label>
+          Before/after split
+          <input type="checkbox" name="showSplit" />
+        </label>
+        <label>
+          Original
+          <select name="splitOriginal">
+            <option value="stretched">Stretched</option>
+            <option value="full">Full size</option>
+          </select>
+        </label>
+      </section>
+    `;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.bind("energyFunction", "energyFunction", (value) => {
+      return /** @type {EnergyFunction} */ (value);
+    });
+    this.bind("energyMode", "energyMode", (value) => {
+      return /** @type {EnergyMode} */ (value);
+    });
+    this.bind("direction", "direction", (value) => {
+      return /** @type {SeamDirection} */ (value);
+    });
+    this.bind("targetWidth", "targetWidth", parseTargetSize, (size) => {
+      return size == null ? "" : String(size);
+    });
+    this.bind("targetHeight", "targetHeight", parseTargetSize, (size) => {
+      return size == null ? "" : String(size);
+    });
+    this.bind("showEnergy", "showEnergy", (value) => value == "true");
+    this.bind("energyColorMap", "energyColorMap", (value) => {
+      return /** @type {ColorMap} */ (value);
+    });
+    this.bind("energyOpacity", "energyOpacity", Number);
+    this.bind("showCumulative", "showCumulative", (value) => value == "true");
+    this.bind("cumulativeRowsPerSecond", "cumulativeRowsPerSecond", Number);
+    this.bind("showComparison", "showComparison", (value) => value == "true");
+    this.bind("showSplit", "showSplit", (value) => value == "true");
+    this.bind("splitOriginal", "splitOriginal", (value) => {
+      return /** @type {"stretched" | "full"} */ (value);
+    });
+    this.retargetButton.addEventListener("click", this.handleRetargetClick);
+    this.indexButton.addEventListener("click", this.handleIndexClick);
+    this.indexWidthInput.addEventListener("input", this.handleIndexWidthInput);
+    this.indexWidthInput.addEventListener(
+      "change",
+      this.handleIndexWidthChange,
+    );
+
+    this.storeClient.subscribe("image", this.update);
+    this.storeClient.subscribe("targetWidth", this.update);
+    this.storeClient.subscribe("targetHeight", this.update);
+    this.storeClient.subscribe("seamIndex", this.update);
+    this.storeClient.subscribe("seamOrder", this.renderSeamOrder);
+    this.committingClient.subscribe(this.update);
+    this.update();
+    this.renderSeamOrder();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.retargetButton.removeEventListener("click", this.handleRetargetClick);
+    this.indexButton.removeEventListener("click", this.handleIndexClick);
+    this.indexWidthInput.removeEventListener(
+      "input",
+      this.handleIndexWidthInput,
+    );
+    this.indexWidthInput.removeEventListener(
+      "change",
+      this.handleIndexWidthChange,
+    );
+  }
+
+  /**
+   * Returns the size to retarget the active image to, where unset dimensions keep their current size.
+   *
+   * @returns {{ width: number, height: number } | null} Target size, or null if there is no active image.
+   */
+  getTargetSize() {
+    const image = store.get("image");
+    if (!image) return null;
+
+    return {
+      width: store.get("targetWidth") ?? image.width,
+      height: store.get("targetHeight") ?? image.height,
+    };
+  }
+
+  async handleRetargetClick() {
+    if (isCommitting()) return;
+
+    const { width, height } = this.getTargetSize();
+    this.retargeting = true;
+    this.update();
+
+    try {
+      await retarget(width, height);
+    } catch (error) {
+      toastEvent.emit({
+        status: "error",
+        message: `Retargeting failed: ${error.message}`,
+      });
+    } finally {
+      this.retargeting = false;
+      this.update();
+    }
+  }
+
+  async handleIndexClick() {
+    if (isCommitting()) return;
+
+    this.indexing = true;
+    this.update();
+
+    try {
+      await indexSeams();
+    } catch (error) {
+      toastEvent.emit({
+        status: "error",
+        message: `Indexing failed: ${error.message}`,
+      });
+    } finally {
+      this.indexing = false;
+      this.update();
+    }
+  }
+
+  /**
+   * Returns whether the active image can be resized through the seam index,
+   * either because it is the indexed image or because it was rendered from the index.
+   *
+   * @returns {boolean}
+   */
+  isIndexed() {
+    const image = store.get("image");
+    const seamIndex = store.get("seamIndex");
+    if (!image || !seamIndex) return false;
+
+    return image == seamIndex.image || this.indexedImages.has(image);
+  }
+
+  /**
+   * Shows the active image at the width of the slider, rendered from the seam index without searching for any seam.
+   * The slider counts as committing images to history from the first move until it is released.
+   */
+  async handleIndexWidthInput() {
+    if (!this.indexStart) {
+      if (isCommitting() || !this.isIndexed()) return;
+
+      // Set beforehand, so that the refresh on committing leaves the slider alone
+      this.indexStart = {
+        image: store.get("image"),
+        mask: store.get("mask"),
+        bitmap: store.get("bitmap"),
+      };
+      startCommitting();
+    }
+
+    const width = Number(this.indexWidthInput.value);
+    if (width == this.indexStart.image.width) {
+      this.indexPreview = this.indexStart.image;
+      this.show(this.indexStart);
+      return;
+    }
+
+    const image = renderSeamIndex(store.get("seamIndex"), width);
+    this.indexedImages.add(image);
+    this.indexPreview = image;
+
+    // Bitmaps of earlier widths may resolve after the latest one
+    const bitmap = await createImageBitmap(image);
+    if (this.indexPreview != image) return;
+    this.show({ image, mask: null, bitmap });
+  }
+
+  /**
+   * Commits the image at the width the slider was released at. Rendered images leave the mask out.
+   */
+  async handleIndexWidthChange() {
+    if (!this.indexStart) return;
+
+    const start = this.indexStart;
+    const image = this.indexPreview;
+    this.indexStart = null;
+    this.indexPreview = null;
+
+    try {
+      if (image == start.image) this.show(start);
+      else await commitImage(image);
+    } finally {
+      stopCommitting();
+    }
+  }
+
+  /**
+   * Replaces the active image without taking any history snapshot.
+   *
+   * @param {ResizeEntry} entry - Image to show, with its mask and bitmap.
+   */
+  show({ image, mask, bitmap }) {
+    store.set("bitmap", bitmap);
+    store.set("image", image);
+    store.set("mask", mask);
+  }
+
+  /**
+   * Draws the order of the latest carving as a strip with one column per seam, then counts the seams in each direction.
+   */
+  renderSeamOrder() {
+    const order = store.get("seamOrder");
+    this.seamOrder.hidden = order.length == 0;
+    if (order.length == 0) return;
+
+    // Colors follow the theme, vertical seams stand out the most
+    const style = getComputedStyle(this.seamOrder);
+    /** @type {Record<SeamDirection, string>} */
+    const colors = {
+      vertical: style.getPropertyValue("--fg-primary"),
+      horizontal: style.getPropertyValue("--fg-tertiary"),
+    };
+
+    this.seamOrderCanvas.width = order.length;
+    const ctx = this.seamOrderCanvas.getContext("2d");
+    order.forEach((direction, i) => {
+      ctx.fillStyle = colors[direction];
+      ctx.fillRect(i, 0, 1, 1);
+    });
+
+    const vertical = order.filter((direction) => direction == "vertical");
+    const horizontal = order.length - vertical.length;
+    this.seamOrderCaption.textContent = `${vertical.length} vertical, ${horizontal} horizontal`;
+  }
+
+  /**
+   * Shows the current size of the active image in the empty target inputs,
+   * and enables retargeting if the target size differs from it and no other operation is committing.
+   * Enables the index width slider over the indexed range while the active image belongs to the seam index.
+   */
+  update() {
+    const image = store.get("image");
+    const target = this.getTargetSize();
+    const seamIndex = store.get("seamIndex");
+
+    this.widthInput.placeholder = image ? String(image.width) : "";
+    this.heightInput.placeholder = image ? String(image.height) : "";
+    this.retargetButton.disabled =
+      !target ||
+      this.retargeting ||
+      isCommitting() ||
+      (target.width == image.width && target.height == image.height);
+
+    this.indexButton.disabled =
+      !image ||
+      image.width < 2 ||
+      this.indexing ||
+      isCommitting() ||
+      this.isIndexed();
+
+    // The slider is left alone while dragged, which also counts as committing
+    if (this.indexStart) return;
+
+    const isIndexed = this.isIndexed();
+    this.indexWidthInput.disabled = !isIndexed || isCommitting();
+    if (!isIndexed) return;
+
+    this.indexWidthInput.min = String(seamIndex.image.width - seamIndex.count);
+    this.indexWidthInput.max = String(seamIndex.image.width + seamIndex.count);
+    this.indexWidthInput.value = String(image.width);
+  }
+}
+
+Component.register(ParametersPanel, {
+  tag: "x-parameters-panel",
+  path: import.meta.url,
+  styles: ["panel.css"],
+});
@@ -0,0 +1,161 @@
+import Component from "/components/base.js";
+import Panel from "/components/panels/panel.js";
+import store from "/lib/store/store.js";
+import { isCommitting, removeObject } from "/lib/seam-carving/carver.js";
+import { html } from "/lib/utils.js";
+
+/** @import { MaskBrush } from "/lib/seam-carving/mask.js" */
+/** @import { PanelSide } from "/components/panels/panel.js" */
+
+/**
+ * Left panel holding the mask brushes and the operations on the mask.
+ */
+export default class ToolsPanel extends Panel {
+  /** @type {PanelSide} */
+  static side = "left";
+  static title = "Tools";
+
+  /** @type {HTMLButtonElement[]} */
+  brushButtons;
+
+  /** @type {HTMLButtonElement} */
+  clearButton;
+
+  /** @type {HTMLButtonElement} */
+  removeButton;
+
+  /** @type {HTMLInputElement} */
+  restoreInput;
+
+  /** Whether an object is being removed from the panel. */
+  removing = false;
+
+  constructor() {
+    super();
+
+    this.brushButtons = [
+      ...this.root.querySelectorAll("button[data-brush]"),
+    ].map((button) => /** @type {HTMLButtonElement} */ (button));
+    this.clearButton = this.root.querySelector('[data-action="clear"]');
+    this.removeButton = this.root.querySelector('[data-action="remove"]');
+    this.restoreInput = this.root.querySelector('[name="restore"]');
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleBrushClick = this.handleBrushClick.bind(this);
+    this.handleRemoveClick = this.handleRemoveClick.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  renderContent() {
+    return html`
+      <section>
+        <h3>Mask brush</h3>
+        <div class="segmented">
+          <button data-brush="protect" title="Protect pixels from carving">
+            Protect
+          </button>
+          <button data-brush="remove" title="Mark pixels for removal">
+            Remove
+          </button>
+          <button data-brush="erase" title="Reset pixels to neutral">
+            Erase
+          </button>
+        </div>
+        <button data-action="clear">Clear mask</button>
+      </section>
+      <section>
+        <h3>Object removal</h3>
+        <label>
+          Restore original size
+          <input type="checkbox" name="restore" />
+        </label>
+        <button data-action="remove">Remove object</button>
+      </section>
+    `;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    for (const button of this.brushButtons) {
+      button.addEventListener("click", this.handleBrushClick);
+    }
+    this.clearButton.addEventListener("click", store.helpers.clearMask);
+    this.removeButton.addEventListener("click", this.handleRemoveClick);
+
+    this.storeClient.subscribe("image", this.update);
+    this.storeClient.subscribe("mask", this.update);
+    this.storeClient.subscribe("maskBrush", this.update);
+    this.committingClient.subscribe(this.update);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    for (const button of this.brushButtons) {
+      button.removeEventListener("click", this.handleBrushClick);
+    }
+    this.clearButton.removeEventListener("click", store.helpers.clearMask);
+    this.removeButton.removeEventListener("click", this.handleRemoveClick);
+  }
+
+  /**
+   * Selects the clicked brush, or deselects it if it is already selected.
+   *
+   * @param {MouseEvent} event
+   */
+  handleBrushClick(event) {
+    const button = /** @type {HTMLButtonElement} */ (event.currentTarget);
+    const brush = /** @type {MaskBrush} */ (button.dataset.brush);
+    const selected = store.get("maskBrush") == brush;
+    this.storeClient.set("maskBrush", selected ? null : brush);
+    this.update();
+  }
+
+  async handleRemoveClick() {
+    if (isCommitting()) return;
+
+    this.removing = true;
+    this.update();
+
+    try {
+      await removeObject({ restore: this.restoreInput.checked });
+    } catch {
+      // Failures are already reported by removeObject()
+    } finally {
+      this.removing = false;
+      this.update();
+    }
+  }
+
+  /**
+   * Refreshes the enabled and pressed state of every button.
+   */
+  update() {
+    const image = store.get("image");
+    const mask = store.get("mask");
+    const brush = store.get("maskBrush");
+
+    for (const button of this.brushButtons) {
+      button.disabled = image == null;
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.brush == brush),
+      );
+    }
+
+    const isBusy = this.removing || isCommitting();
+    this.clearButton.disabled = mask == null || isBusy;
+    this.removeButton.disabled = !image || !mask || isBusy;
+  }
+}
+
+Component.register(ToolsPanel, {
+  tag: "x-tools-panel",
+  path: import.meta.url,
+  styles: ["panel.css"],
+});
@@ -1,11 +1,23 @@
 import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ComparisonWidget from "/components/playground/widgets/comparison/comparison-widget.js";
 import Component from "/components/base.js";
+import CumulativeWidget from "/components/playground/widgets/cumulative/cumulative-widget.js";
+import EnergyWidget from "/components/playground/widgets/energy/energy-widget.js";
 import ImageWidget from "./widgets/image/image-widget.js";
+import InspectorWidget from "/components/playground/widgets/inspector/inspector-widget.js";
+import MaskWidget from "/components/playground/widgets/mask/mask-widget.js";
+import MinimapWidget from "/components/playground/widgets/minimap/minimap-widget.js";
+import SeamWidget from "/components/playground/widgets/seam/seam-widget.js";
+import SplitWidget from "/components/playground/widgets/split/split-widget.js";
+import TimelineWidget from "/components/playground/widgets/timeline/timeline-widget.js";
+import TransportWidget from "/components/playground/widgets/transport/transport-widget.js";
 import UploadWidget from "/components/playground/widgets/upload/upload-widget.js";
 import WidgetSet from "/components/playground/widgets/widget-set.js";
 import store from "/lib/store/store.js";
 import { html } from "/lib/utils.js";
 
+/** @import { WidgetConstructor } from "/components/playground/widgets/widget-set.js" */
+
 export default class Playground extends Component {
   canvas;
   ctx;
@@ -75,21 +87,68 @@ export default class Playground extends Component {
       this.control.setScale(scale);
     });
 
+    // Bitmaps are committed along with their image, see commitImage()
     this.storeClient.subscribe("image", (image) => {
-      createImageBitmap(image).then((bitmap) => {
-        store.set("bitmap", bitmap);
-
-        if (image != null && this.widgetSet.has(UploadWidget)) {
-          this.widgetSet.remove(UploadWidget);
-          this.widgetSet.add(ImageWidget);
-        }
-
-        if (image == null && this.widgetSet.has(ImageWidget)) {
-          this.widgetSet.remove(ImageWidget);
-          this.widgetSet.add(UploadWidget);
-        }
-      });
+      if (image != null && this.widgetSet.has(UploadWidget)) {
+        this.widgetSet.remove(UploadWidget);
+        this.widgetSet.add(ImageWidget);
+        this.widgetSet.add(SeamWidget);
+        this.widgetSet.add(MaskWidget);
+        this.widgetSet.add(TransportWidget);
+        this.widgetSet.add(TimelineWidget);
+        this.widgetSet.add(InspectorWidget);
+        this.widgetSet.add(MinimapWidget);
+      }
+
+      if (image == null && this.widgetSet.has(ImageWidget)) {
+        this.widgetSet.remove(ImageWidget);
+        this.widgetSet.remove(SeamWidget);
+        this.widgetSet.remove(MaskWidget);
+        this.widgetSet.remove(TransportWidget);
+        this.widgetSet.remove(TimelineWidget);
+        this.widgetSet.remove(InspectorWidget);
+        this.widgetSet.remove(MinimapWidget);
+        this.widgetSet.add(UploadWidget);
+      }
+
+      this.toggleOverlayWidget(EnergyWidget, "showEnergy");
+      this.toggleOverlayWidget(CumulativeWidget, "showCumulative");
+      this.toggleOverlayWidget(ComparisonWidget, "showComparison");
+      this.toggleOverlayWidget(SplitWidget, "showSplit");
+    });
+
+    this.storeClient.subscribe("showEnergy", () => {
+      this.toggleOverlayWidget(EnergyWidget, "showEnergy");
     });
+
+    this.storeClient.subscribe("showCumulative", () => {
+      this.toggleOverlayWidget(CumulativeWidget, "showCumulative");
+    });
+
+    this.storeClient.subscribe("showComparison", () => {
+      this.toggleOverlayWidget(ComparisonWidget, "showComparison");
+    });
+
+    this.storeClient.subscribe("showSplit", () => {
+      this.toggleOverlayWidget(SplitWidget, "showSplit");
+    });
+  }
+
+  /**
+   * Adds an overlay widget over the image when it is enabled, removes it otherwise.
+   *
+   * @param {WidgetConstructor} WidgetConstructor - Overlay widget class.
+   * @param {"showEnergy" | "showCumulative" | "showComparison" | "showSplit"} key - State property that enables the overlay.
+   */
+  toggleOverlayWidget(WidgetConstructor, key) {
+    const isVisible = store.get(key) && store.get("image") != null;
+    if (isVisible && !this.widgetSet.has(WidgetConstructor)) {
+      this.widgetSet.add(WidgetConstructor);
+    }
+
+    if (!isVisible && this.widgetSet.has(WidgetConstructor)) {
+      this.widgetSet.remove(WidgetConstructor);
+    }
   }
 
   draw() {
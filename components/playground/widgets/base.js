@@ -3,14 +3,29 @@ import ColorAnimator from "/lib/animator/color-animator.js";
 import Shape from "/lib/shapes/base.js";
 import cursorManager from "/lib/cursor-manager.js";
 import pointerTracker from "/lib/pointer-tracker.js";
+import shortcutManager from "/lib/shortcut-manager.js";
 
 /** @import { AnimatorOptions } from "/lib/animator/animator.js" */
 
+/**
+ * Initialised widgets of every canvas, so that a widget can tell whether another one has a control under the pointer.
+ *
+ * @type {WeakMap<HTMLCanvasElement, Set<Widget>>}
+ */
+const liveWidgets = new WeakMap();
+
 export default class Widget {
+  /**
+   * Drawing layer of the widget. Widgets on higher layers are drawn over widgets on lower ones,
+   * widgets on the same layer in the order they were added.
+   */
+  static layer = 0;
+
   control;
   canvas;
   ctx;
   cursorClient;
+  shortcutClient;
 
   /** @type {Map<string, ColorAnimator>} */
   colors = new Map();
@@ -28,12 +43,18 @@ export default class Widget {
     this.canvas = control.getCanvas();
     this.ctx = control.getContext();
     this.cursorClient = cursorManager.createClient(this.canvas);
+    this.shortcutClient = shortcutManager.createClient();
   }
 
   /**
    * Initialises the widget's event listeners and subscriptions.
    */
   init() {
+    if (!liveWidgets.has(this.canvas)) {
+      liveWidgets.set(this.canvas, new Set());
+    }
+
+    liveWidgets.get(this.canvas).add(this);
     this.onInit();
   }
 
@@ -60,9 +81,45 @@ export default class Widget {
     }
 
     this.cursorClient.cleanup();
+    this.shortcutClient.cleanup();
+    liveWidgets.get(this.canvas)?.delete(this);
     this.onDestroy();
   }
 
+  /**
+   * Returns whether a point is over one of the widget's controls, such as a button or a handle.
+   * Controls take pointer presses over them away from the layers below. Defaults to the bounds of the interactables.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverControl(x, y) {
+    const worldPoint = this.control.getWorldCoordinates(x, y);
+    const interactables = this.interactables.values();
+    for (const interactable of interactables) {
+      if (interactable.containsPoint(worldPoint.x, worldPoint.y)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns whether a point is over a control of another widget on the same canvas.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverOtherControl(x, y) {
+    const widgets = liveWidgets.get(this.canvas) ?? [];
+    for (const widget of widgets) {
+      if (widget != this && widget.isOverControl(x, y)) return true;
+    }
+
+    return false;
+  }
+
   /**
    * Lifecycle method for widget initialisation.
    */
@@ -175,7 +232,10 @@ export default class Widget {
 }
 
 /**
- * @typedef {"click" | "enter" | "leave"} InteractableEventType
+ * Drag listeners are called on every pointer movement of a drag that started inside the bounds,
+ * wherever the pointer goes. Drag end listeners are called once such a drag is released.
+ *
+ * @typedef {"click" | "enter" | "leave" | "drag" | "dragend"} InteractableEventType
  */
 
 /**
@@ -319,6 +379,71 @@ class Interactable {
         });
         break;
 
+      case "drag":
+        let isDragging = false;
+
+        /** @param {PointerEvent} event */
+        const handlePointerDown = (event) => {
+          // Only the primary button drags, the others are left to panning and context menus
+          if (event.button != 0) return;
+
+          const worldPoint = this.control.getWorldCoordinates(event.x, event.y);
+          isDragging = this.bounds.containsPoint(worldPoint.x, worldPoint.y);
+          if (!isDragging) return;
+
+          listener(this.getEventObject(event.x, event.y));
+        };
+
+        /** @param {PointerEvent} event */
+        const handlePointerMove = (event) => {
+          if (!isDragging) return;
+          listener(this.getEventObject(event.x, event.y));
+        };
+
+        const handlePointerUp = () => {
+          isDragging = false;
+        };
+
+        this.canvas.addEventListener("pointerdown", handlePointerDown);
+        window.addEventListener("pointermove", handlePointerMove);
+        window.addEventListener("pointerup", handlePointerUp);
+        cleanup = () => {
+          this.canvas.removeEventListener("pointerdown", handlePointerDown);
+          window.removeEventListener("pointermove", handlePointerMove);
+          window.removeEventListener("pointerup", handlePointerUp);
+        };
+        break;
+
+      case "dragend":
+        let hasDragStarted = false;
+
+        /** @param {PointerEvent} event */
+        const handleDragStart = (event) => {
+          if (event.button != 0) return;
+
+          const worldPoint = this.control.getWorldCoordinates(event.x, event.y);
+          hasDragStarted = this.bounds.containsPoint(
+            worldPoint.x,
+            worldPoint.y,
+          );
+        };
+
+        /** @param {PointerEvent} event */
+        const handleDragEnd = (event) => {
+          if (!hasDragStarted) return;
+
+          hasDragStarted = false;
+          listener(this.getEventObject(event.x, event.y));
+        };
+
+        this.canvas.addEventListener("pointerdown", handleDragStart);
+        window.addEventListener("pointerup", handleDragEnd);
+        cleanup = () => {
+          this.canvas.removeEventListener("pointerdown", handleDragStart);
+          window.removeEventListener("pointerup", handleDragEnd);
+        };
+        break;
+
       default:
         throw new Error(`Invalid event type: ${type}`);
     }
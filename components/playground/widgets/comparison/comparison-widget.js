@@ -0,0 +1,132 @@
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import config from "/components/playground/widgets/comparison/config.js";
+import store from "/lib/store/store.js";
+
+/**
+ * @typedef {Object} ComparisonView
+ * @property {string} title - Name of the resizing method.
+ * @property {number} width - Width of the resized image.
+ * @property {number} height - Height of the resized image.
+ */
+
+/**
+ * Lays out the original image resized to the size of the carved one in two other ways,
+ * uniformly scaled and center-cropped, to the right of the carved image.
+ * Every view sits in a frame of the target size, labelled with the size of its image.
+ */
+export default class ComparisonWidget extends ImageLayerWidget {
+  onStep() {
+    const original = store.helpers.getOriginalBitmap();
+    const bitmap = store.get("bitmap");
+    if (!original || !bitmap) return;
+
+    const { width, height } = bitmap;
+    const scaledX = this.getFrameX(1, width);
+    const croppedX = this.getFrameX(2, width);
+
+    const scaled = this.drawScaled(original, scaledX, width, height);
+    const cropped = this.drawCropped(original, croppedX, width, height);
+
+    this.drawFrame(this.getFrameX(0, width), width, height, {
+      title: "Seam carved",
+      width,
+      height,
+    });
+    this.drawFrame(scaledX, width, height, scaled);
+    this.drawFrame(croppedX, width, height, cropped);
+  }
+
+  /**
+   * Returns the X-coordinate of a frame in worldspace. The carved image stays in the first one.
+   *
+   * @param {number} index - Index of the frame, from left to right.
+   * @param {number} width - Width of every frame.
+   * @returns {number}
+   */
+  getFrameX(index, width) {
+    return this.initialOffsetX + index * (width + config.gap);
+  }
+
+  /**
+   * Draws the original image scaled by the same factor in both directions to fit the frame, centered in it.
+   *
+   * @param {ImageBitmap} original - Original image.
+   * @param {number} x - X-coordinate of the frame in worldspace.
+   * @param {number} width - Width of the frame.
+   * @param {number} height - Height of the frame.
+   * @returns {ComparisonView}
+   */
+  drawScaled(original, x, width, height) {
+    const scale = Math.min(width / original.width, height / original.height);
+    const scaledWidth = Math.round(original.width * scale);
+    const scaledHeight = Math.round(original.height * scale);
+    const scaledX = x + (width - scaledWidth) / 2;
+    const scaledY = this.initialOffsetY + (height - scaledHeight) / 2;
+
+    this.ctx.drawImage(original, scaledX, scaledY, scaledWidth, scaledHeight);
+    return { title: "Scaled", width: scaledWidth, height: scaledHeight };
+  }
+
+  /**
+   * Draws the center of the original image, cropped to the frame. Frames larger than
+   * the original image leave the rest empty.
+   *
+   * @param {ImageBitmap} original - Original image.
+   * @param {number} x - X-coordinate of the frame in worldspace.
+   * @param {number} width - Width of the frame.
+   * @param {number} height - Height of the frame.
+   * @returns {ComparisonView}
+   */
+  drawCropped(original, x, width, height) {
+    const croppedWidth = Math.min(width, original.width);
+    const croppedHeight = Math.min(height, original.height);
+    const sourceX = Math.floor((original.width - croppedWidth) / 2);
+    const sourceY = Math.floor((original.height - croppedHeight) / 2);
+    const croppedX = x + Math.floor((width - croppedWidth) / 2);
+    const croppedY =
+      this.initialOffsetY + Math.floor((height - croppedHeight) / 2);
+
+    this.ctx.drawImage(
+      original,
+      sourceX,
+      sourceY,
+      croppedWidth,
+      croppedHeight,
+      croppedX,
+      croppedY,
+      croppedWidth,
+      croppedHeight,
+    );
+    return { title: "Cropped", width: croppedWidth, height: croppedHeight };
+  }
+
+  /**
+   * Outlines a frame and labels it under its bottom edge.
+   *
+   * @param {number} x - X-coordinate of the frame in worldspace.
+   * @param {number} width - Width of the frame.
+   * @param {number} height - Height of the frame.
+   * @param {ComparisonView} view - View drawn in the frame.
+   */
+  drawFrame(x, width, height, view) {
+    const scale = this.control.getScale();
+    const y = this.initialOffsetY;
+
+    this.ctx.strokeStyle = config.frame.color;
+    this.ctx.lineWidth = config.frame.lineWidth / scale;
+    this.ctx.strokeRect(x, y, width, height);
+
+    // Labels keep the same size on screen at every zoom level
+    const label = `${view.title} · ${view.width}x${view.height}`;
+    const labelY = y + height + config.label.marginTop / scale;
+
+    this.ctx.save();
+    this.ctx.translate(x, labelY);
+    this.ctx.scale(1 / scale, 1 / scale);
+    this.ctx.font = config.label.font;
+    this.ctx.fillStyle = config.label.color;
+    this.ctx.textBaseline = "top";
+    this.ctx.fillText(label, 0, 0);
+    this.ctx.restore();
+  }
+}
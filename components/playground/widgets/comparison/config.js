@@ -0,0 +1,18 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+const config = {
+  // In worldspace, between the frames of two views
+  gap: 48,
+  frame: {
+    // In screenspace, like the label below
+    lineWidth: 1,
+    color: getCSSVariable("--outline"),
+  },
+  label: {
+    font: "500 14px Inter",
+    marginTop: 8,
+    color: getCSSVariable("--fg-secondary"),
+  },
+};
+
+export default config;
@@ -0,0 +1,23 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+const config = {
+  opacity: 0.85,
+  front: {
+    color: getCSSVariable("--fg-warning"),
+    // In screenspace, like every line width below
+    lineWidth: 2,
+  },
+  arrows: {
+    // Individual pixels become distinguishable from the 3x scale step onwards
+    minScale: 3,
+    // Rows closest to the front are drawn first, until the budget runs out
+    maxCount: 20000,
+    color: getCSSVariable("--fg-primary"),
+    lineWidth: 1,
+    // In pixels, relative to the distance between two pixel centers
+    length: 0.7,
+    headLength: 0.2,
+  },
+};
+
+export default config;
@@ -0,0 +1,292 @@
+import Animator from "/lib/animator/animator.js";
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import config from "/components/playground/widgets/cumulative/config.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { applyColorMap } from "/lib/color-maps.js";
+import { runJob } from "/lib/seam-carving/worker-client.js";
+
+/** @import { EnergyMap } from "/lib/seam-carving/energy.js" */
+/** @import { SeamSearch } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * Normalizes every row of a row-major array between 0 and 1, so that the rows
+ * of a cumulative energy matrix stay comparable as their values grow.
+ *
+ * @param {EnergyMap} values - Values to normalize, in row-major order.
+ * @param {number} width - Width of the array.
+ * @param {number} height - Height of the array.
+ * @returns {Float32Array} Normalized values, in row-major order.
+ */
+function normalizeRows(values, width, height) {
+  const normalized = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = values.subarray(y * width, (y + 1) * width);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of row) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+
+    const range = max - min;
+    for (let x = 0; x < width; x++) {
+      normalized[y * width + x] = range > 0 ? (row[x] - min) / range : 0;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Reveals the cumulative energy matrix of the active image one row at a time, the way
+ * dynamic programming fills it, with backpointer arrows once pixels are large enough.
+ */
+export default class CumulativeWidget extends ImageLayerWidget {
+  storeClient;
+
+  /** @type {SeamSearch} */
+  search;
+
+  /** @type {OffscreenCanvas} */
+  matrix;
+
+  /** Number of revealed rows, animated linearly at the configured speed. */
+  rows = new Animator(0, { easing: "linear" });
+
+  /** Whether the matrix is out of date with the active image or energy mode. */
+  stale = true;
+
+  /**
+   * Controller of the worker job searching the image, if one is running.
+   *
+   * @type {AbortController | null}
+   */
+  controller = null;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.storeClient = store.createClient();
+  }
+
+  onInit() {
+    this.subscribeToStore();
+  }
+
+  onStep() {
+    if (this.stale && !this.controller) this.computeMatrix();
+    if (!this.search) return;
+
+    this.rows.step();
+    this.drawMatrix();
+    this.drawArrows();
+    this.drawFront();
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+    this.controller?.abort();
+  }
+
+  subscribeToStore() {
+    // Images change up to once per carved seam, so the matrix is computed at most one job at a time
+    this.storeClient.subscribe("image", () => {
+      this.stale = true;
+    });
+
+    this.storeClient.subscribe("energyFunction", () => {
+      this.stale = true;
+    });
+
+    this.storeClient.subscribe("energyMode", () => {
+      this.stale = true;
+    });
+
+    this.storeClient.subscribe("energyColorMap", () => {
+      if (this.search) this.renderMatrix();
+    });
+
+    this.storeClient.subscribe("cumulativeRowsPerSecond", () => {
+      if (this.search) this.animateRows(this.rows.getValue());
+    });
+  }
+
+  /**
+   * Searches the active image with the active energy function and mode in a worker and reveals the matrix
+   * from its first row. The mask is left out so that its extreme values do not flatten the colors.
+   * Changes made meanwhile are picked up by the next search, once this one is done.
+   */
+  async computeMatrix() {
+    this.stale = false;
+
+    const image = store.get("image");
+    if (!image) return;
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      this.search = await runJob(
+        {
+          type: "seam-search",
+          image,
+          direction: "vertical",
+          options: {
+            energyFunction: store.get("energyFunction"),
+            energyMode: store.get("energyMode"),
+          },
+        },
+        { signal: controller.signal },
+      );
+      this.renderMatrix();
+      this.animateRows(0);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      toastEvent.emit({
+        status: "error",
+        message: `Cumulative energy failed: ${error.message}`,
+      });
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  renderMatrix() {
+    const { width, height, cumulative } = this.search;
+    const normalized = normalizeRows(cumulative, width, height);
+    const colorMap = store.get("energyColorMap");
+    const colored = applyColorMap(normalized, width, height, colorMap);
+
+    this.matrix = new OffscreenCanvas(width, height);
+    this.matrix.getContext("2d").putImageData(colored, 0, 0);
+  }
+
+  /**
+   * Animates the revealed rows from the specified row to the last one at the configured speed.
+   *
+   * @param {number} from - Number of rows revealed at the start of the animation.
+   */
+  animateRows(from) {
+    const { height } = this.search;
+    const rowsPerSecond = store.get("cumulativeRowsPerSecond");
+    const duration = ((height - from) / rowsPerSecond) * 1000;
+
+    this.rows.setValue(from);
+    this.rows.setDuration(Math.max(duration, 1));
+    this.rows.setTarget(height);
+  }
+
+  /**
+   * Returns the number of fully revealed rows.
+   *
+   * @returns {number}
+   */
+  getRevealedRows() {
+    return Math.floor(this.rows.getValue());
+  }
+
+  drawMatrix() {
+    const { width } = this.search;
+    const rows = this.getRevealedRows();
+    if (rows == 0) return;
+
+    const alpha = this.ctx.globalAlpha;
+    this.ctx.globalAlpha = config.opacity;
+    this.ctx.drawImage(
+      this.matrix,
+      0,
+      0,
+      width,
+      rows,
+      this.initialOffsetX,
+      this.initialOffsetY,
+      width,
+      rows,
+    );
+    this.ctx.globalAlpha = alpha;
+  }
+
+  drawFront() {
+    const { width, height } = this.search;
+    const rows = this.getRevealedRows();
+    if (rows >= height) return;
+
+    const y = this.initialOffsetY + rows;
+    this.ctx.strokeStyle = config.front.color;
+    this.ctx.lineWidth = config.front.lineWidth / this.control.getScale();
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.initialOffsetX, y);
+    this.ctx.lineTo(this.initialOffsetX + width, y);
+    this.ctx.stroke();
+  }
+
+  /**
+   * Draws an arrow from every visible revealed pixel towards its parent in the row above,
+   * starting from the most recently revealed row.
+   */
+  drawArrows() {
+    const scale = this.control.getScale();
+    if (scale < config.arrows.minScale) return;
+
+    const { width, height, backpointers } = this.search;
+    const topLeft = this.control.getWorldCoordinates(0, 0);
+    const bottomRight = this.control.getWorldCoordinates(
+      this.canvas.width,
+      this.canvas.height,
+    );
+    const start = this.getImageCoordinates(topLeft.x, topLeft.y);
+    const end = this.getImageCoordinates(bottomRight.x, bottomRight.y);
+
+    const left = Math.max(Math.floor(start.x), 0);
+    const right = Math.min(Math.ceil(end.x), width - 1);
+    const top = Math.max(Math.floor(start.y), 1);
+    const bottom = Math.min(Math.ceil(end.y), this.getRevealedRows() - 1);
+    if (left > right) return;
+
+    const { length, headLength } = config.arrows;
+    let budget = config.arrows.maxCount;
+
+    this.ctx.strokeStyle = config.arrows.color;
+    this.ctx.lineWidth = config.arrows.lineWidth / scale;
+    this.ctx.beginPath();
+
+    for (let y = bottom; y >= top && budget > 0; y--) {
+      for (let x = left; x <= right; x++, budget--) {
+        const offset = backpointers[y * width + x];
+        const centerX = this.initialOffsetX + x + 0.5;
+        const centerY = this.initialOffsetY + y + 0.5;
+
+        // Unit vector towards the center of the parent pixel
+        const norm = Math.hypot(offset, 1);
+        const directionX = offset / norm;
+        const directionY = -1 / norm;
+        const tipX = centerX + directionX * length;
+        const tipY = centerY + directionY * length;
+
+        this.ctx.moveTo(centerX, centerY);
+        this.ctx.lineTo(tipX, tipY);
+
+        // Arrow head, at 30 degrees on each side of the shaft
+        for (const side of [-1, 1]) {
+          const angle = (side * Math.PI) / 6;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          this.ctx.moveTo(tipX, tipY);
+          this.ctx.lineTo(
+            tipX - (directionX * cos - directionY * sin) * headLength,
+            tipY - (directionX * sin + directionY * cos) * headLength,
+          );
+        }
+      }
+    }
+
+    this.ctx.stroke();
+  }
+}
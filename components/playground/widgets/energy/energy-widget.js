@@ -0,0 +1,142 @@
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { applyColorMap } from "/lib/color-maps.js";
+import { runJob } from "/lib/seam-carving/worker-client.js";
+
+/** @import { EnergyMap } from "/lib/seam-carving/energy.js" */
+
+export default class EnergyWidget extends ImageLayerWidget {
+  storeClient;
+
+  /** @type {OffscreenCanvas} */
+  heatmap;
+
+  /**
+   * Energy of the image the heatmap was computed for, in row-major order.
+   *
+   * @type {EnergyMap | null}
+   */
+  energy = null;
+
+  /** Width of the image the energy was computed for. */
+  energyWidth = 0;
+
+  /** Height of the image the energy was computed for. */
+  energyHeight = 0;
+
+  /** Whether the energy is out of date with the active image or energy function. */
+  stale = true;
+
+  /**
+   * Controller of the worker job computing the energy, if one is running.
+   *
+   * @type {AbortController | null}
+   */
+  controller = null;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.storeClient = store.createClient();
+  }
+
+  onInit() {
+    // Images change up to once per carved seam, so the energy is computed at most one job at a time
+    this.storeClient.subscribe("image", () => {
+      this.stale = true;
+    });
+
+    this.storeClient.subscribe("energyFunction", () => {
+      this.stale = true;
+    });
+
+    this.storeClient.subscribe("energyColorMap", () => {
+      if (this.energy) this.renderHeatmap();
+    });
+  }
+
+  onStep() {
+    if (this.stale && !this.controller) this.computeEnergy();
+    this.drawHeatmap();
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+    this.controller?.abort();
+  }
+
+  /**
+   * Computes the energy of the active image in a worker, then renders the heatmap.
+   * Changes made meanwhile are picked up by the next computation, once this one is done.
+   */
+  async computeEnergy() {
+    this.stale = false;
+
+    const image = store.get("image");
+    if (!image) return;
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      this.energy = await runJob(
+        {
+          type: "energy",
+          image,
+          energyFunction: store.get("energyFunction"),
+        },
+        { signal: controller.signal },
+      );
+      this.energyWidth = image.width;
+      this.energyHeight = image.height;
+      this.renderHeatmap();
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      toastEvent.emit({
+        status: "error",
+        message: `Energy heatmap failed: ${error.message}`,
+      });
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  renderHeatmap() {
+    const { energy, energyWidth: width, energyHeight: height } = this;
+    const colorMap = store.get("energyColorMap");
+    const heatmap = applyColorMap(energy, width, height, colorMap);
+
+    this.heatmap = new OffscreenCanvas(width, height);
+    this.heatmap.getContext("2d").putImageData(heatmap, 0, 0);
+  }
+
+  drawHeatmap() {
+    if (!this.heatmap) return;
+
+    // A heatmap computed for a larger image than the active one is cropped to it until the next one is ready
+    const bitmap = store.get("bitmap");
+    const width = Math.min(this.heatmap.width, bitmap.width);
+    const height = Math.min(this.heatmap.height, bitmap.height);
+
+    const alpha = this.ctx.globalAlpha;
+    this.ctx.globalAlpha = store.get("energyOpacity");
+    this.ctx.drawImage(
+      this.heatmap,
+      0,
+      0,
+      width,
+      height,
+      this.initialOffsetX,
+      this.initialOffsetY,
+      width,
+      height,
+    );
+    this.ctx.globalAlpha = alpha;
+  }
+}
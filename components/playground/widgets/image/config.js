@@ -0,0 +1,53 @@
+import { Slice } from "lucide";
+import { getCSSVariable, getIconPaths } from "/lib/utils.js";
+
+const config = {
+  fit: {
+    // In screenspace, keeps the image clear of the canvas edges and the controls pinned to them
+    padding: 96,
+  },
+  keys: {
+    fit: "f",
+    actualSize: "0",
+  },
+  // Every size below is in screenspace, so that the handles look the same at every zoom level
+  handle: {
+    size: 24,
+    // Distance between the edge of the image and the handle
+    gap: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    color: getCSSVariable("--bg-secondary"),
+    hoverColor: getCSSVariable("--bg-tertiary"),
+    borderColor: getCSSVariable("--outline"),
+    cursors: {
+      right: "ew-resize",
+      bottom: "ns-resize",
+    },
+  },
+  icon: {
+    // Lucide icons are drawn in a 24x24 viewbox
+    viewboxSize: 24,
+    size: 14,
+    lineWidth: 2,
+    color: getCSSVariable("--fg-secondary"),
+    hoverColor: getCSSVariable("--fg-primary"),
+    paths: getIconPaths(Slice),
+  },
+  ghost: {
+    lineWidth: 1,
+    lineDash: [6, 4],
+    color: getCSSVariable("--fg-primary"),
+  },
+  label: {
+    font: "500 12px Inter",
+    margin: 8,
+    padding: 6,
+    lineHeight: 16,
+    borderRadius: 6,
+    color: getCSSVariable("--fg-primary"),
+    backgroundColor: getCSSVariable("--bg-secondary"),
+  },
+};
+
+export default config;
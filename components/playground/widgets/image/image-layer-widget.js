@@ -0,0 +1,40 @@
+import Widget from "/components/playground/widgets/base.js";
+import store from "/lib/store/store.js";
+
+/** @import { Point } from "/lib/canvas-control/canvas-control.js" */
+
+/**
+ * Widget drawn in the same world coordinates as the active image,
+ * whose top-left corner stays where the image was centered when uploaded.
+ * Every layer shares this origin, even when created once the image was carved.
+ */
+export default class ImageLayerWidget extends Widget {
+  /**
+   * X-coordinate of the top-left corner of the image in worldspace.
+   *
+   * @returns {number}
+   */
+  get initialOffsetX() {
+    return -store.helpers.getOriginalBitmap().width / 2;
+  }
+
+  /**
+   * Y-coordinate of the top-left corner of the image in worldspace.
+   *
+   * @returns {number}
+   */
+  get initialOffsetY() {
+    return -store.helpers.getOriginalBitmap().height / 2;
+  }
+
+  /**
+   * Converts world coordinates to pixel coordinates in the active image and returns them.
+   *
+   * @param {number} x - X-coordinate in worldspace.
+   * @param {number} y - Y-coordinate in worldspace.
+   * @returns {Point} Corresponding coordinates in the image, not rounded.
+   */
+  getImageCoordinates(x, y) {
+    return { x: x - this.initialOffsetX, y: y - this.initialOffsetY };
+  }
+}
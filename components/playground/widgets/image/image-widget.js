@@ -1,13 +1,62 @@
 import CanvasControl from "/lib/canvas-control/canvas-control.js";
-import Widget from "/components/playground/widgets/base.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import LiveResize from "/lib/seam-carving/live-resize.js";
+import Rectangle from "/lib/shapes/rectangle.js";
+import config from "/components/playground/widgets/image/config.js";
+import playback from "/lib/seam-carving/playback.js";
 import store from "/lib/store/store.js";
+import { isCommitting } from "/lib/seam-carving/carver.js";
 
-export default class ImageWidget extends Widget {
-  /** @type {number} */
-  initialOffsetX;
+/**
+ * @typedef {"right" | "bottom"} EdgeHandle
+ */
 
-  /** @type {number} */
-  initialOffsetY;
+/** @type {EdgeHandle[]} */
+const handles = ["right", "bottom"];
+
+/**
+ * Draws the active image, with handles on its right and bottom edges that carve or enlarge it
+ * live while dragged. A single history snapshot is taken once a handle is released.
+ */
+export default class ImageWidget extends ImageLayerWidget {
+  storeClient;
+
+  /**
+   * Uploaded bitmap the canvas was last fitted to.
+   *
+   * @type {ImageBitmap | null}
+   */
+  fittedOriginal = null;
+
+  /** @type {Set<EdgeHandle>} */
+  hovered = new Set();
+
+  /**
+   * Resize in progress, kept until its target is reached after the handle is released.
+   *
+   * @type {LiveResize | null}
+   */
+  resize = null;
+
+  /**
+   * Handle that started the resize in progress.
+   *
+   * @type {EdgeHandle | null}
+   */
+  resizeHandle = null;
+
+  /** Whether the handle that started the resize is still held. */
+  dragging = false;
+
+  /** Distance between the pointer and the dragged edge, along the direction of the resize. */
+  grabOffset = 0;
+
+  /**
+   * Cursor currently shown, over or dragging a handle.
+   *
+   * @type {string | null}
+   */
+  cursor = null;
 
   /**
    * @param {CanvasControl} control
@@ -15,21 +64,319 @@ export default class ImageWidget extends Widget {
   constructor(control) {
     super(control);
 
-    this.calculateInitialOffset();
+    this.storeClient = store.createClient();
   }
 
-  calculateInitialOffset() {
-    const image = store.get("image");
-    this.initialOffsetX = -image.width / 2;
-    this.initialOffsetY = -image.height / 2;
+  onInit() {
+    // Carving keeps the current view, only a new upload is fitted again, or undoing back to an earlier one.
+    // Uploads set their original before their bitmap, which the fit needs
+    this.fitToCanvas();
+    this.storeClient.subscribe("bitmap", () => {
+      if (store.get("original") == this.fittedOriginal) return;
+      this.fitToCanvas();
+    });
+    this.registerShortcuts();
+
+    for (const handle of handles) {
+      this.setupHandle(handle);
+    }
   }
 
   onStep() {
+    this.updateBounds();
+    this.updateCursor();
+
     this.drawImage();
+    this.drawGhost();
+    for (const handle of handles) {
+      this.drawHandle(handle);
+    }
+    this.drawLabel();
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+  }
+
+  /**
+   * @param {EdgeHandle} handle
+   */
+  setupHandle(handle) {
+    this.addColor(handle, config.handle.color);
+    this.addColor(`${handle}-icon`, config.icon.color);
+
+    const interactable = this.addInteractable(
+      handle,
+      new Rectangle(0, 0, 0, 0),
+    );
+
+    interactable.addEventListener("enter", () => {
+      this.hovered.add(handle);
+      this.setColor(handle, config.handle.hoverColor);
+      this.setColor(`${handle}-icon`, config.icon.hoverColor);
+    });
+
+    interactable.addEventListener("leave", () => {
+      this.hovered.delete(handle);
+      this.setColor(handle, config.handle.color);
+      this.setColor(`${handle}-icon`, config.icon.color);
+    });
+
+    interactable.addEventListener("drag", ({ x, y }) => {
+      const point = this.getImageCoordinates(x, y);
+      const position = handle == "right" ? point.x : point.y;
+
+      // A released resize still reaching its target cannot be grabbed again
+      if (!this.resize) this.startResize(handle, position);
+      if (!this.dragging || this.resizeHandle != handle) return;
+
+      this.resize.setTarget(position + this.grabOffset);
+    });
+
+    interactable.addEventListener("dragend", () => {
+      if (!this.dragging || this.resizeHandle != handle) return;
+      this.finishResize();
+    });
+  }
+
+  /**
+   * Starts resizing the image from one of its handles, unless another operation is committing images to history.
+   *
+   * @param {EdgeHandle} handle - Grabbed handle.
+   * @param {number} position - Position of the pointer along the direction of the resize, in image coordinates.
+   */
+  startResize(handle, position) {
+    if (isCommitting()) return;
+
+    // Playback would carve the image from under the resize
+    playback.pause();
+
+    this.resize = new LiveResize(handle == "right" ? "vertical" : "horizontal");
+    this.resizeHandle = handle;
+    this.dragging = true;
+    this.grabOffset = this.resize.getTarget() - position;
+  }
+
+  /**
+   * Lets the resize reach its target, then forgets it.
+   */
+  async finishResize() {
+    this.dragging = false;
+    try {
+      await this.resize.finish();
+    } finally {
+      this.resize = null;
+      this.resizeHandle = null;
+    }
+  }
+
+  registerShortcuts() {
+    this.shortcutClient.register({
+      id: "image.fit",
+      description: "Fit image to screen",
+      group: "View",
+      keys: [config.keys.fit],
+      run: () => this.fitToCanvas(),
+    });
+
+    this.shortcutClient.register({
+      id: "image.actualSize",
+      description: "Zoom to actual size",
+      group: "View",
+      keys: [config.keys.actualSize],
+      run: () => this.control.actualSize(),
+    });
+  }
+
+  /**
+   * Returns the bounds of the active image in worldspace.
+   *
+   * @returns {Rectangle}
+   */
+  getBounds() {
+    const bitmap = store.get("bitmap");
+    return new Rectangle(
+      this.initialOffsetX,
+      this.initialOffsetY,
+      bitmap.width,
+      bitmap.height,
+    );
+  }
+
+  /**
+   * Returns the bounds the image is being resized to, or its current bounds if it is not.
+   *
+   * @returns {Rectangle}
+   */
+  getTargetBounds() {
+    const bounds = this.getBounds();
+    if (this.resizeHandle == "right") bounds.setWidth(this.resize.getTarget());
+    if (this.resizeHandle == "bottom") {
+      bounds.setHeight(this.resize.getTarget());
+    }
+
+    return bounds;
+  }
+
+  /**
+   * Scales and centers the canvas so that the active image fits entirely in it.
+   */
+  fitToCanvas() {
+    this.fittedOriginal = store.get("original");
+    this.control.fitToBounds(this.getBounds(), config.fit.padding);
+  }
+
+  /**
+   * Returns the bounds of a handle in worldspace, next to the middle of its edge of the target bounds.
+   *
+   * @param {EdgeHandle} handle
+   * @returns {Rectangle}
+   */
+  getHandleBounds(handle) {
+    const scale = this.control.getScale();
+    const size = config.handle.size / scale;
+    const gap = config.handle.gap / scale;
+    const target = this.getTargetBounds();
+
+    if (handle == "right") {
+      return new Rectangle(
+        target.getX() + target.getWidth() + gap,
+        target.getY() + (target.getHeight() - size) / 2,
+        size,
+        size,
+      );
+    }
+
+    return new Rectangle(
+      target.getX() + (target.getWidth() - size) / 2,
+      target.getY() + target.getHeight() + gap,
+      size,
+      size,
+    );
+  }
+
+  updateBounds() {
+    for (const handle of handles) {
+      this.getInteractable(handle).setBounds(this.getHandleBounds(handle));
+    }
+  }
+
+  /**
+   * Shows the resize cursor of the dragged handle, or of the hovered one if none is dragged.
+   */
+  updateCursor() {
+    const handle = this.dragging
+      ? this.resizeHandle
+      : ([...this.hovered][0] ?? null);
+    const cursor = handle ? config.handle.cursors[handle] : null;
+    if (cursor == this.cursor) return;
+
+    if (this.cursor) this.cursorClient.remove(this.cursor);
+    if (cursor) this.cursorClient.add(cursor);
+    this.cursor = cursor;
   }
 
   drawImage() {
     const bitmap = store.get("bitmap");
     this.ctx.drawImage(bitmap, this.initialOffsetX, this.initialOffsetY);
   }
+
+  /**
+   * Outlines the size the image is being resized to.
+   */
+  drawGhost() {
+    if (!this.resize) return;
+
+    const scale = this.control.getScale();
+    const target = this.getTargetBounds();
+
+    this.ctx.save();
+    this.ctx.strokeStyle = config.ghost.color;
+    this.ctx.lineWidth = config.ghost.lineWidth / scale;
+    this.ctx.setLineDash(config.ghost.lineDash.map((length) => length / scale));
+    this.ctx.strokeRect(
+      target.getX(),
+      target.getY(),
+      target.getWidth(),
+      target.getHeight(),
+    );
+    this.ctx.restore();
+  }
+
+  /**
+   * @param {EdgeHandle} handle
+   */
+  drawHandle(handle) {
+    const scale = this.control.getScale();
+    const bounds = this.getHandleBounds(handle);
+    const x = bounds.getX();
+    const y = bounds.getY();
+
+    this.ctx.fillStyle = this.getColor(handle);
+    this.ctx.strokeStyle = config.handle.borderColor;
+    this.ctx.lineWidth = config.handle.borderWidth / scale;
+    this.ctx.beginPath();
+    this.ctx.roundRect(
+      x,
+      y,
+      bounds.getWidth(),
+      bounds.getHeight(),
+      config.handle.borderRadius / scale,
+    );
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    const iconScale = config.icon.size / config.icon.viewboxSize / scale;
+    const iconOffset = (config.handle.size - config.icon.size) / 2 / scale;
+
+    this.ctx.save();
+    this.ctx.translate(x + iconOffset, y + iconOffset);
+    this.ctx.scale(iconScale, iconScale);
+    this.ctx.strokeStyle = this.getColor(`${handle}-icon`);
+    this.ctx.lineWidth = config.icon.lineWidth;
+    this.ctx.lineCap = "round";
+    this.ctx.lineJoin = "round";
+    for (const path of config.icon.paths) {
+      this.ctx.stroke(path);
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Labels the size the image is being resized to, past the bottom-right corner of the ghost outline.
+   */
+  drawLabel() {
+    if (!this.resize) return;
+
+    const scale = this.control.getScale();
+    const target = this.getTargetBounds();
+    const { margin, padding, lineHeight } = config.label;
+    const label = `${target.getWidth()}x${target.getHeight()}`;
+
+    // Labels keep the same size on screen at every zoom level
+    this.ctx.save();
+    this.ctx.translate(
+      target.getX() + target.getWidth() + margin / scale,
+      target.getY() + target.getHeight() + margin / scale,
+    );
+    this.ctx.scale(1 / scale, 1 / scale);
+    this.ctx.font = config.label.font;
+    const width = this.ctx.measureText(label).width + 2 * padding;
+
+    this.ctx.fillStyle = config.label.backgroundColor;
+    this.ctx.beginPath();
+    this.ctx.roundRect(
+      0,
+      0,
+      width,
+      lineHeight + 2 * padding,
+      config.label.borderRadius,
+    );
+    this.ctx.fill();
+
+    this.ctx.fillStyle = config.label.color;
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(label, padding, padding + lineHeight / 2);
+    this.ctx.restore();
+  }
 }
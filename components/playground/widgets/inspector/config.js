@@ -0,0 +1,29 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+// Every size is in screenspace
+const config = {
+  // Individual pixels become distinguishable from the 3x scale step onwards
+  minScale: 3,
+  outline: {
+    lineWidth: 1,
+    color: getCSSVariable("--fg-primary"),
+  },
+  tooltip: {
+    // Distance from the pointer to the tooltip
+    offset: 16,
+    padding: 8,
+    columnGap: 16,
+    borderRadius: 6,
+    borderWidth: 1,
+    color: getCSSVariable("--bg-secondary"),
+    borderColor: getCSSVariable("--outline"),
+  },
+  text: {
+    font: "12px Inter",
+    lineHeight: 18,
+    labelColor: getCSSVariable("--fg-secondary"),
+    valueColor: getCSSVariable("--fg-primary"),
+  },
+};
+
+export default config;
@@ -0,0 +1,281 @@
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import config from "/components/playground/widgets/inspector/config.js";
+import playback from "/lib/seam-carving/playback.js";
+import pointerTracker from "/lib/pointer-tracker.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { clamp } from "/lib/utils.js";
+import { runJob } from "/lib/seam-carving/worker-client.js";
+
+/** @import { Point } from "/lib/canvas-control/canvas-control.js" */
+/** @import { SeamSearch } from "/lib/seam-carving/seam-finder.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+
+/**
+ * @typedef {[label: string, value: string]} InspectorLine
+ */
+
+/**
+ * Direction of the parent of a pixel for every backpointer, by seam direction.
+ *
+ * @type {Record<SeamDirection, Record<number, string>>}
+ */
+const parentDirections = {
+  vertical: { [-1]: "↖ Up-left", 0: "↑ Up", 1: "↗ Up-right" },
+  horizontal: { [-1]: "↖ Up-left", 0: "← Left", 1: "↙ Down-left" },
+};
+
+/**
+ * Tooltip listing the color, energy and seam search values of the pixel under the pointer,
+ * shown once the scale is high enough to tell pixels apart.
+ */
+export default class InspectorWidget extends ImageLayerWidget {
+  // The tooltip stays above every image layer
+  static layer = 1;
+
+  storeClient;
+
+  /** @type {Function} */
+  unsubscribePointer;
+
+  /**
+   * Position of the pointer in screenspace, if it is over the canvas.
+   *
+   * @type {Point | null}
+   */
+  pointer = null;
+
+  /** @type {SeamSearch | null} */
+  search = null;
+
+  /** @type {SeamDirection} */
+  searchDirection = "vertical";
+
+  /** Whether the search is out of date with the active image or search options. */
+  stale = true;
+
+  /**
+   * Controller of the worker job searching the image, if one is running.
+   *
+   * @type {AbortController | null}
+   */
+  controller = null;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.storeClient = store.createClient();
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+  }
+
+  onInit() {
+    this.subscribeToStore();
+    this.unsubscribePointer = pointerTracker.subscribe(
+      this.canvas,
+      this.handlePointerMove,
+    );
+    this.canvas.addEventListener("pointerleave", this.handlePointerLeave);
+  }
+
+  onStep() {
+    if (!this.pointer || this.control.getScale() < config.minScale) return;
+
+    const { width, height } = store.get("image");
+    const worldPoint = this.control.getWorldCoordinates(
+      this.pointer.x,
+      this.pointer.y,
+    );
+    const point = this.getImageCoordinates(worldPoint.x, worldPoint.y);
+    const x = Math.floor(point.x);
+    const y = Math.floor(point.y);
+    if (x < 0 || x >= width || y < 0 || y >= height) return;
+
+    // Searching is deferred until a pixel is inspected, images change up to once per carved seam
+    if (this.stale && !this.controller) this.updateSearch();
+
+    this.drawOutline(x, y);
+    this.drawTooltip(this.getLines(x, y));
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+    this.controller?.abort();
+    this.unsubscribePointer();
+    this.canvas.removeEventListener("pointerleave", this.handlePointerLeave);
+  }
+
+  subscribeToStore() {
+    const markStale = () => {
+      this.stale = true;
+    };
+
+    this.storeClient.subscribe("image", markStale);
+    this.storeClient.subscribe("mask", markStale);
+    this.storeClient.subscribe("energyFunction", markStale);
+    this.storeClient.subscribe("energyMode", markStale);
+    this.storeClient.subscribe("direction", markStale);
+  }
+
+  /**
+   * @param {number} x - X-coordinate of the pointer in screenspace.
+   * @param {number} y - Y-coordinate of the pointer in screenspace.
+   */
+  handlePointerMove(x, y) {
+    this.pointer = { x, y };
+  }
+
+  handlePointerLeave() {
+    this.pointer = null;
+  }
+
+  /**
+   * Searches the active image for the next seam to remove in a worker, the way playback would.
+   * Changes made meanwhile are picked up by the next search, once this one is done.
+   */
+  async updateSearch() {
+    this.stale = false;
+
+    const controller = new AbortController();
+    const direction = playback.getDirection();
+    this.controller = controller;
+
+    try {
+      this.search = await runJob(
+        {
+          type: "seam-search",
+          image: store.get("image"),
+          direction,
+          options: {
+            energyFunction: store.get("energyFunction"),
+            energyMode: store.get("energyMode"),
+            mask: store.get("mask"),
+          },
+        },
+        { signal: controller.signal },
+      );
+      this.searchDirection = direction;
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      this.search = null;
+      toastEvent.emit({
+        status: "error",
+        message: `Seam search failed: ${error.message}`,
+      });
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Returns the lines of the tooltip for a pixel of the active image.
+   *
+   * @param {number} x - X-coordinate of the pixel.
+   * @param {number} y - Y-coordinate of the pixel.
+   * @returns {InspectorLine[]}
+   */
+  getLines(x, y) {
+    const image = store.get("image");
+    const offset = (y * image.width + x) << 2;
+    const rgba = image.data.slice(offset, offset + 4).join(", ");
+
+    // The values of an earlier search would belong to other pixels
+    if (this.stale || this.controller || !this.search) {
+      return [
+        ["Pixel", `${x}, ${y}`],
+        ["RGBA", rgba],
+        ["Next seam", "Searching..."],
+      ];
+    }
+
+    // Horizontal searches run on the transposed image
+    const isVertical = this.searchDirection == "vertical";
+    const { energy, cumulative, backpointers, seam } = this.search;
+    const row = isVertical ? y : x;
+    const column = isVertical ? x : y;
+    const index = row * this.search.width + column;
+
+    const parent =
+      row == 0
+        ? "None"
+        : parentDirections[this.searchDirection][backpointers[index]];
+
+    return [
+      ["Pixel", `${x}, ${y}`],
+      ["RGBA", rgba],
+      ["Energy", energy[index].toFixed(1)],
+      ["Cumulative", cumulative[index].toFixed(1)],
+      ["Parent", parent],
+      [
+        "Next seam",
+        seam[row] == column ? `Yes, ${this.searchDirection}` : "No",
+      ],
+    ];
+  }
+
+  /**
+   * Outlines the inspected pixel.
+   *
+   * @param {number} x - X-coordinate of the pixel.
+   * @param {number} y - Y-coordinate of the pixel.
+   */
+  drawOutline(x, y) {
+    this.ctx.strokeStyle = config.outline.color;
+    this.ctx.lineWidth = config.outline.lineWidth / this.control.getScale();
+    this.ctx.strokeRect(this.initialOffsetX + x, this.initialOffsetY + y, 1, 1);
+  }
+
+  /**
+   * Draws the tooltip next to the pointer, kept inside the canvas.
+   *
+   * @param {InspectorLine[]} lines
+   */
+  drawTooltip(lines) {
+    const { offset, padding, columnGap } = config.tooltip;
+    const { lineHeight } = config.text;
+
+    // Drawn in screenspace, on top of the world
+    this.ctx.save();
+    this.ctx.resetTransform();
+    this.ctx.font = config.text.font;
+    this.ctx.textBaseline = "middle";
+
+    const labelWidth = Math.max(
+      ...lines.map(([label]) => this.ctx.measureText(label).width),
+    );
+    const valueWidth = Math.max(
+      ...lines.map(([, value]) => this.ctx.measureText(value).width),
+    );
+    const width = labelWidth + columnGap + valueWidth + 2 * padding;
+    const height = lines.length * lineHeight + 2 * padding;
+    const x = clamp(this.pointer.x + offset, 0, this.canvas.width - width);
+    const y = clamp(this.pointer.y + offset, 0, this.canvas.height - height);
+
+    this.ctx.fillStyle = config.tooltip.color;
+    this.ctx.strokeStyle = config.tooltip.borderColor;
+    this.ctx.lineWidth = config.tooltip.borderWidth;
+    this.ctx.beginPath();
+    this.ctx.roundRect(x, y, width, height, config.tooltip.borderRadius);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    lines.forEach(([label, value], i) => {
+      const lineY = y + padding + (i + 0.5) * lineHeight;
+      this.ctx.fillStyle = config.text.labelColor;
+      this.ctx.fillText(label, x + padding, lineY);
+      this.ctx.fillStyle = config.text.valueColor;
+      this.ctx.fillText(value, x + padding + labelWidth + columnGap, lineY);
+    });
+
+    this.ctx.restore();
+  }
+}
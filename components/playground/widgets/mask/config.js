@@ -0,0 +1,22 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+const config = {
+  brush: {
+    // In screenspace, so that the brush feels the same at every zoom level
+    radius: 16,
+    cursor: "crosshair",
+  },
+  overlay: {
+    opacity: 0.5,
+    protectColor: getCSSVariable("--fg-success"),
+    removeColor: getCSSVariable("--fg-destructive"),
+  },
+  keys: {
+    protect: "p",
+    remove: "x",
+    erase: "e",
+    release: "Escape",
+  },
+};
+
+export default config;
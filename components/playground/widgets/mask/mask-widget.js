@@ -0,0 +1,304 @@
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import config from "/components/playground/widgets/mask/config.js";
+import store from "/lib/store/store.js";
+import {
+  MASK_NEUTRAL,
+  MASK_PROTECT,
+  MASK_REMOVE,
+  createMask,
+  paintMask,
+} from "/lib/seam-carving/mask.js";
+import { isCommitting } from "/lib/seam-carving/carver.js";
+
+/** @import { MaskBrush, MaskValue } from "/lib/seam-carving/mask.js" */
+
+const LEFT_BUTTON = 0;
+
+/** @type {Record<MaskBrush, MaskValue>} */
+const brushValues = {
+  protect: MASK_PROTECT,
+  remove: MASK_REMOVE,
+  erase: MASK_NEUTRAL,
+};
+
+export default class MaskWidget extends ImageLayerWidget {
+  storeClient;
+
+  /**
+   * Offscreen layer of every visible mask value, holding its color wherever the mask has that value.
+   *
+   * @type {Map<MaskValue, OffscreenCanvas>}
+   */
+  layers = new Map();
+
+  painting = false;
+  lastX = 0;
+  lastY = 0;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.storeClient = store.createClient();
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+  }
+
+  onInit() {
+    this.createLayers();
+    this.renderLayers();
+    this.updateCursor(store.get("maskBrush"));
+    this.subscribeToStore();
+    this.registerShortcuts();
+    this.attachEventListeners();
+  }
+
+  onStep() {
+    this.drawLayers();
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+    this.cleanupEventListeners();
+  }
+
+  createLayers() {
+    const { width, height } = store.get("image");
+    this.layers.set(MASK_PROTECT, new OffscreenCanvas(width, height));
+    this.layers.set(MASK_REMOVE, new OffscreenCanvas(width, height));
+  }
+
+  subscribeToStore() {
+    // The image and its mask change together, see commitImage()
+    this.storeClient.subscribe("image", (image) => {
+      if (!image) return;
+      this.createLayers();
+      this.renderLayers();
+    });
+
+    this.storeClient.subscribe("mask", () => {
+      this.renderLayers();
+    });
+
+    this.storeClient.subscribe("maskBrush", (brush) => {
+      this.updateCursor(brush);
+    });
+  }
+
+  registerShortcuts() {
+    this.shortcutClient.register({
+      id: "mask.protect",
+      description: "Protect brush",
+      group: "Mask",
+      keys: [config.keys.protect],
+      run: () => store.set("maskBrush", "protect"),
+    });
+
+    this.shortcutClient.register({
+      id: "mask.remove",
+      description: "Removal brush",
+      group: "Mask",
+      keys: [config.keys.remove],
+      run: () => store.set("maskBrush", "remove"),
+    });
+
+    this.shortcutClient.register({
+      id: "mask.erase",
+      description: "Eraser",
+      group: "Mask",
+      keys: [config.keys.erase],
+      run: () => store.set("maskBrush", "erase"),
+    });
+
+    this.shortcutClient.register({
+      id: "mask.release",
+      description: "Put the brush down",
+      group: "Mask",
+      keys: [config.keys.release],
+      run: () => store.set("maskBrush", null),
+    });
+  }
+
+  attachEventListeners() {
+    this.canvas.addEventListener("mousedown", this.handleMouseDown);
+    this.canvas.addEventListener("mousemove", this.handleMouseMove);
+    window.addEventListener("mouseup", this.handleMouseUp);
+  }
+
+  cleanupEventListeners() {
+    this.canvas.removeEventListener("mousedown", this.handleMouseDown);
+    this.canvas.removeEventListener("mousemove", this.handleMouseMove);
+    window.removeEventListener("mouseup", this.handleMouseUp);
+  }
+
+  /**
+   * @param {MaskBrush | null} brush
+   */
+  updateCursor(brush) {
+    if (brush) this.cursorClient.add(config.brush.cursor);
+    else this.cursorClient.remove(config.brush.cursor);
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseDown(event) {
+    const brush = store.get("maskBrush");
+    if (!brush || event.button != LEFT_BUTTON) return;
+
+    // Panning takes precedence, its handler runs first
+    if (this.control.isPanning()) return;
+
+    // Strokes would snapshot history once released, cutting it short when scrubbing the timeline
+    if (this.isOverOtherControl(event.x, event.y)) return;
+
+    // The committed images would replace the painted mask, and their snapshots split the stroke
+    if (isCommitting()) return;
+
+    // Paint on a copy so that history snapshots keep their own mask
+    const { width, height } = store.get("image");
+    const mask = store.get("mask");
+    this.storeClient.set(
+      "mask",
+      mask ? mask.slice() : createMask(width, height),
+    );
+
+    const point = this.getEventPoint(event);
+    this.painting = true;
+    this.lastX = point.x;
+    this.lastY = point.y;
+    this.paint(point.x, point.y);
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseMove(event) {
+    if (!this.painting) return;
+
+    // Stamps the brush along the stroke so that fast movements leave no gaps
+    const point = this.getEventPoint(event);
+    const radius = this.getBrushRadius();
+    const distance = Math.hypot(point.x - this.lastX, point.y - this.lastY);
+    const steps = Math.max(Math.ceil(distance / (radius / 2)), 1);
+
+    for (let i = 1; i <= steps; i++) {
+      const x = this.lastX + ((point.x - this.lastX) * i) / steps;
+      const y = this.lastY + ((point.y - this.lastY) * i) / steps;
+      this.paint(x, y);
+    }
+
+    this.lastX = point.x;
+    this.lastY = point.y;
+  }
+
+  handleMouseUp() {
+    if (!this.painting) return;
+
+    this.painting = false;
+    store.snapshot();
+  }
+
+  /**
+   * Returns the image coordinates of a mouse event.
+   *
+   * @param {MouseEvent} event
+   */
+  getEventPoint(event) {
+    const worldPoint = this.control.getWorldCoordinates(event.x, event.y);
+    return this.getImageCoordinates(worldPoint.x, worldPoint.y);
+  }
+
+  /**
+   * Returns the brush radius in image pixels at the current scale.
+   *
+   * @returns {number}
+   */
+  getBrushRadius() {
+    return config.brush.radius / this.control.getScale();
+  }
+
+  /**
+   * Paints the active brush at the specified image coordinates.
+   *
+   * @param {number} x - X-coordinate in the image.
+   * @param {number} y - Y-coordinate in the image.
+   */
+  paint(x, y) {
+    const brush = store.get("maskBrush");
+    if (!brush) return;
+
+    const { width, height } = store.get("image");
+    const mask = store.get("mask");
+    const radius = this.getBrushRadius();
+    const value = brushValues[brush];
+
+    paintMask(mask, width, height, x, y, radius, value);
+
+    const left = Math.max(Math.floor(x - radius), 0);
+    const top = Math.max(Math.floor(y - radius), 0);
+    const right = Math.min(Math.ceil(x + radius), width - 1);
+    const bottom = Math.min(Math.ceil(y + radius), height - 1);
+    if (left > right || top > bottom) return;
+
+    this.renderLayers(left, top, right - left + 1, bottom - top + 1);
+  }
+
+  /**
+   * Redraws a region of every layer from the active mask. Redraws the whole image by default.
+   *
+   * @param {number} [left] - X-coordinate of the region in the image.
+   * @param {number} [top] - Y-coordinate of the region in the image.
+   * @param {number} [regionWidth] - Width of the region.
+   * @param {number} [regionHeight] - Height of the region.
+   */
+  renderLayers(left = 0, top = 0, regionWidth = null, regionHeight = null) {
+    const { width, height } = store.get("image");
+    const mask = store.get("mask");
+    regionWidth ??= width;
+    regionHeight ??= height;
+
+    for (const [value, layer] of this.layers) {
+      const ctx = layer.getContext("2d");
+      const alpha = new ImageData(regionWidth, regionHeight);
+
+      if (mask && mask.length == width * height) {
+        for (let y = 0; y < regionHeight; y++) {
+          for (let x = 0; x < regionWidth; x++) {
+            if (mask[(top + y) * width + left + x] != value) continue;
+            alpha.data[((y * regionWidth + x) << 2) + 3] = 255;
+          }
+        }
+      }
+
+      // Tints the painted pixels of the region only
+      ctx.putImageData(alpha, left, top);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(left, top, regionWidth, regionHeight);
+      ctx.clip();
+      ctx.globalCompositeOperation = "source-in";
+      ctx.fillStyle =
+        value == MASK_PROTECT
+          ? config.overlay.protectColor
+          : config.overlay.removeColor;
+      ctx.fillRect(left, top, regionWidth, regionHeight);
+      ctx.restore();
+    }
+  }
+
+  drawLayers() {
+    const alpha = this.ctx.globalAlpha;
+    this.ctx.globalAlpha = config.overlay.opacity;
+
+    for (const layer of this.layers.values()) {
+      this.ctx.drawImage(layer, this.initialOffsetX, this.initialOffsetY);
+    }
+
+    this.ctx.globalAlpha = alpha;
+  }
+}
@@ -0,0 +1,22 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+// Every size is in screenspace, the minimap stays pinned to the bottom-right corner of the canvas
+const config = {
+  frame: {
+    // Longest side of the thumbnail, the frame adds its padding around it
+    maxSize: 160,
+    margin: 24,
+    padding: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    color: getCSSVariable("--bg-secondary"),
+    borderColor: getCSSVariable("--outline"),
+  },
+  viewport: {
+    lineWidth: 1.5,
+    fillOpacity: 0.15,
+    color: getCSSVariable("--fg-primary"),
+  },
+};
+
+export default config;
@@ -0,0 +1,267 @@
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import Rectangle from "/lib/shapes/rectangle.js";
+import config from "/components/playground/widgets/minimap/config.js";
+import pointerTracker from "/lib/pointer-tracker.js";
+import store from "/lib/store/store.js";
+import { clamp } from "/lib/utils.js";
+
+/** @import { Point } from "/lib/canvas-control/canvas-control.js" */
+
+const LEFT_BUTTON = 0;
+
+/**
+ * Thumbnail of the active image pinned to the bottom-right corner, outlining the visible part of the world.
+ * Clicking or dragging on it centers the canvas on the point under the pointer.
+ */
+export default class MinimapWidget extends ImageLayerWidget {
+  // Screenspace controls stay above every image layer
+  static layer = 1;
+
+  /** @type {Function} */
+  unsubscribePointer;
+
+  dragging = false;
+
+  /** Whether the pointer cursor is shown, over the thumbnail. */
+  pointing = false;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+  }
+
+  onInit() {
+    this.attachEventListeners();
+  }
+
+  onStep() {
+    // The world transform is still applied, the viewport is measured before leaving it
+    const viewport = this.getViewportBounds();
+
+    // Drawn in screenspace, on top of the world
+    this.ctx.save();
+    this.ctx.resetTransform();
+    this.drawFrame();
+    this.drawViewport(viewport);
+    this.ctx.restore();
+  }
+
+  onDestroy() {
+    this.cleanupEventListeners();
+  }
+
+  attachEventListeners() {
+    this.canvas.addEventListener("mousedown", this.handleMouseDown);
+    window.addEventListener("mousemove", this.handleMouseMove);
+    window.addEventListener("mouseup", this.handleMouseUp);
+    this.unsubscribePointer = pointerTracker.subscribe(
+      this.canvas,
+      this.handlePointerMove,
+    );
+  }
+
+  cleanupEventListeners() {
+    this.canvas.removeEventListener("mousedown", this.handleMouseDown);
+    window.removeEventListener("mousemove", this.handleMouseMove);
+    window.removeEventListener("mouseup", this.handleMouseUp);
+    this.unsubscribePointer();
+  }
+
+  /**
+   * Returns the ratio between the size of the thumbnail and the size of the active image.
+   *
+   * @returns {number}
+   */
+  getThumbnailScale() {
+    const { width, height } = store.get("bitmap");
+    return Math.min(
+      config.frame.maxSize / width,
+      config.frame.maxSize / height,
+    );
+  }
+
+  /**
+   * Returns the bounds of the thumbnail in screenspace.
+   *
+   * @returns {Rectangle}
+   */
+  getThumbnailBounds() {
+    const { width, height } = store.get("bitmap");
+    const { margin, padding } = config.frame;
+    const scale = this.getThumbnailScale();
+    const thumbnailWidth = width * scale;
+    const thumbnailHeight = height * scale;
+
+    return new Rectangle(
+      this.canvas.width - margin - padding - thumbnailWidth,
+      this.canvas.height - margin - padding - thumbnailHeight,
+      thumbnailWidth,
+      thumbnailHeight,
+    );
+  }
+
+  /**
+   * Returns the part of the world visible on the canvas, in worldspace.
+   * Must be called while the world transform is applied.
+   *
+   * @returns {Rectangle}
+   */
+  getViewportBounds() {
+    const topLeft = this.control.getWorldCoordinates(0, 0);
+    const bottomRight = this.control.getWorldCoordinates(
+      this.canvas.width,
+      this.canvas.height,
+    );
+
+    return new Rectangle(
+      topLeft.x,
+      topLeft.y,
+      bottomRight.x - topLeft.x,
+      bottomRight.y - topLeft.y,
+    );
+  }
+
+  /**
+   * Converts thumbnail coordinates to world coordinates and returns them.
+   * Points outside of the thumbnail are clamped to its edges.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {Point} Corresponding coordinates in worldspace.
+   */
+  getWorldPoint(x, y) {
+    const thumbnail = this.getThumbnailBounds();
+    const scale = this.getThumbnailScale();
+    const thumbnailX = clamp(x - thumbnail.getX(), 0, thumbnail.getWidth());
+    const thumbnailY = clamp(y - thumbnail.getY(), 0, thumbnail.getHeight());
+
+    return {
+      x: this.initialOffsetX + thumbnailX / scale,
+      y: this.initialOffsetY + thumbnailY / scale,
+    };
+  }
+
+  /**
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverControl(x, y) {
+    return this.getThumbnailBounds().containsPoint(x, y);
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseDown(event) {
+    if (event.button != LEFT_BUTTON) return;
+    if (!this.isOverControl(event.x, event.y)) return;
+
+    this.dragging = true;
+    this.focusOn(event.x, event.y);
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseMove(event) {
+    if (!this.dragging) return;
+    this.focusOn(event.x, event.y);
+  }
+
+  handleMouseUp() {
+    this.dragging = false;
+  }
+
+  /**
+   * @param {number} x - X-coordinate of the pointer in screenspace.
+   * @param {number} y - Y-coordinate of the pointer in screenspace.
+   */
+  handlePointerMove(x, y) {
+    const isOverThumbnail = this.getThumbnailBounds().containsPoint(x, y);
+    if (isOverThumbnail == this.pointing) return;
+
+    this.pointing = isOverThumbnail;
+    if (isOverThumbnail) this.cursorClient.add("pointer");
+    else this.cursorClient.remove("pointer");
+  }
+
+  /**
+   * Centers the canvas on the world point under a point of the thumbnail.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   */
+  focusOn(x, y) {
+    const point = this.getWorldPoint(x, y);
+    this.control.centerOn(point.x, point.y);
+  }
+
+  drawFrame() {
+    const thumbnail = this.getThumbnailBounds();
+    const { padding } = config.frame;
+
+    this.ctx.fillStyle = config.frame.color;
+    this.ctx.strokeStyle = config.frame.borderColor;
+    this.ctx.lineWidth = config.frame.borderWidth;
+    this.ctx.beginPath();
+    this.ctx.roundRect(
+      thumbnail.getX() - padding,
+      thumbnail.getY() - padding,
+      thumbnail.getWidth() + 2 * padding,
+      thumbnail.getHeight() + 2 * padding,
+      config.frame.borderRadius,
+    );
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    this.ctx.drawImage(
+      store.get("bitmap"),
+      thumbnail.getX(),
+      thumbnail.getY(),
+      thumbnail.getWidth(),
+      thumbnail.getHeight(),
+    );
+  }
+
+  /**
+   * Outlines the visible part of the world over the thumbnail, clipped to its bounds.
+   *
+   * @param {Rectangle} viewport - Visible part of the world, in worldspace.
+   */
+  drawViewport(viewport) {
+    const thumbnail = this.getThumbnailBounds();
+    const scale = this.getThumbnailScale();
+    const x =
+      thumbnail.getX() + (viewport.getX() - this.initialOffsetX) * scale;
+    const y =
+      thumbnail.getY() + (viewport.getY() - this.initialOffsetY) * scale;
+    const width = viewport.getWidth() * scale;
+    const height = viewport.getHeight() * scale;
+
+    this.ctx.beginPath();
+    this.ctx.rect(
+      thumbnail.getX(),
+      thumbnail.getY(),
+      thumbnail.getWidth(),
+      thumbnail.getHeight(),
+    );
+    this.ctx.clip();
+
+    this.ctx.fillStyle = config.viewport.color;
+    this.ctx.strokeStyle = config.viewport.color;
+    this.ctx.lineWidth = config.viewport.lineWidth;
+    this.ctx.globalAlpha = config.viewport.fillOpacity;
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.globalAlpha = 1;
+    this.ctx.strokeRect(x, y, width, height);
+  }
+}
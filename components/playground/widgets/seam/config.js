@@ -0,0 +1,19 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+/** @import { Easing } from "/lib/animator/animator.js" */
+
+const config = {
+  highlight: {
+    // The seam fades from the first color to the second one before collapsing
+    fromColor: getCSSVariable("--fg-primary"),
+    toColor: getCSSVariable("--fg-destructive"),
+    duration: 300,
+  },
+  slide: {
+    /** @type {Easing} */
+    easing: "ease-in-out-cubic",
+    duration: 250,
+  },
+};
+
+export default config;
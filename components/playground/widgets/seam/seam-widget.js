@@ -0,0 +1,183 @@
+import Animator from "/lib/animator/animator.js";
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import config from "/components/playground/widgets/seam/config.js";
+import seamEvent from "/lib/events/seam-event.js";
+import store from "/lib/store/store.js";
+
+/** @import { SeamRemoval } from "/lib/seam-carving/carver.js" */
+
+/**
+ * @typedef {"highlight" | "slide" | "done"} SeamAnimationPhase
+ */
+
+/**
+ * Animates every removed seam over the image it was removed from: the seam is first traced
+ * in a highlight color, then collapses as the pixels past it slide by one.
+ * Drawn over ImageWidget, which shows through again once the new bitmap is in the store.
+ */
+export default class SeamWidget extends ImageLayerWidget {
+  storeClient;
+  seamClient;
+
+  /** @type {SeamRemoval | null} */
+  removal = null;
+
+  /** @type {SeamAnimationPhase} */
+  phase = "done";
+
+  /** Distance slid by the pixels past the seam, between 0 and 1. */
+  slide = new Animator(0, {
+    easing: config.slide.easing,
+    duration: config.slide.duration,
+  });
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.storeClient = store.createClient();
+    this.seamClient = seamEvent.createClient();
+    this.addColor("seam", config.highlight.fromColor, {
+      duration: config.highlight.duration,
+    });
+  }
+
+  onInit() {
+    this.seamClient.subscribe((removal) => {
+      this.start(removal);
+    });
+
+    this.storeClient.subscribe("bitmap", () => {
+      this.handOver();
+    });
+  }
+
+  onStep() {
+    if (!this.removal) return;
+
+    this.updatePhase();
+    if (!this.removal) return;
+
+    this.drawBitmap();
+    this.drawSeam();
+  }
+
+  onDestroy() {
+    this.storeClient.unsubscribe();
+    this.seamClient.unsubscribe();
+  }
+
+  /**
+   * Starts animating a removed seam, cutting short the animation of the previous one.
+   *
+   * @param {SeamRemoval} removal - Removed seam.
+   */
+  start(removal) {
+    this.removal = removal;
+    this.phase = "highlight";
+    this.slide.setValue(0);
+
+    const color = this.colors.get("seam");
+    color.setValue(config.highlight.fromColor);
+    this.setColor("seam", config.highlight.toColor);
+  }
+
+  updatePhase() {
+    if (this.phase == "highlight" && this.colors.get("seam").hasEnded()) {
+      this.phase = "slide";
+      this.slide.setTarget(1);
+    }
+
+    this.slide.step();
+    if (this.phase == "slide" && this.slide.hasEnded()) {
+      this.phase = "done";
+      this.handOver();
+    }
+  }
+
+  /**
+   * Stops drawing once the animation is over and the bitmap without the seam is in the store.
+   */
+  handOver() {
+    if (this.phase != "done" || !this.removal) return;
+    if (store.get("bitmap") == this.removal.bitmap) return;
+
+    this.removal = null;
+  }
+
+  /**
+   * Draws the bitmap the seam was removed from, with the pixels past the seam slid towards it.
+   * Vertical seams are drawn row by row, horizontal seams column by column.
+   */
+  drawBitmap() {
+    const { seam, direction, bitmap } = this.removal;
+    const { width, height } = bitmap;
+    const offset = this.slide.getValue();
+    const left = this.initialOffsetX;
+    const top = this.initialOffsetY;
+
+    if (direction == "vertical") {
+      for (let y = 0; y < height; y++) {
+        const x = seam[y];
+        const rest = width - x - 1;
+        if (x > 0) {
+          this.ctx.drawImage(bitmap, 0, y, x, 1, left, top + y, x, 1);
+        }
+
+        if (rest > 0) {
+          const restX = left + x + 1 - offset;
+          this.ctx.drawImage(
+            bitmap,
+            x + 1,
+            y,
+            rest,
+            1,
+            restX,
+            top + y,
+            rest,
+            1,
+          );
+        }
+      }
+
+      return;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const y = seam[x];
+      const rest = height - y - 1;
+      if (y > 0) {
+        this.ctx.drawImage(bitmap, x, 0, 1, y, left + x, top, 1, y);
+      }
+
+      if (rest > 0) {
+        const restY = top + y + 1 - offset;
+        this.ctx.drawImage(bitmap, x, y + 1, 1, rest, left + x, restY, 1, rest);
+      }
+    }
+  }
+
+  /**
+   * Traces the seam in its highlight color, narrowing it as the pixels past it slide in.
+   */
+  drawSeam() {
+    const { seam, direction } = this.removal;
+    const isVertical = direction == "vertical";
+    const width = 1 - this.slide.getValue();
+
+    this.ctx.fillStyle = this.getColor("seam");
+    this.ctx.beginPath();
+
+    for (let i = 0; i < seam.length; i++) {
+      const x = this.initialOffsetX + (isVertical ? seam[i] : i);
+      const y = this.initialOffsetY + (isVertical ? i : seam[i]);
+      if (isVertical) this.ctx.rect(x, y, width, 1);
+      else this.ctx.rect(x, y, 1, width);
+    }
+
+    this.ctx.fill();
+  }
+}
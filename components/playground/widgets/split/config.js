@@ -0,0 +1,21 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+// Every size is in screenspace, so that the divider looks the same at every zoom level
+const config = {
+  divider: {
+    lineWidth: 2,
+    // Width of the grabbable area around the line
+    hitWidth: 16,
+    color: getCSSVariable("--fg-primary"),
+    cursor: "ew-resize",
+  },
+  handle: {
+    radius: 12,
+    borderWidth: 2,
+    color: getCSSVariable("--bg-secondary"),
+    borderColor: getCSSVariable("--fg-primary"),
+    arrowSize: 4,
+  },
+};
+
+export default config;
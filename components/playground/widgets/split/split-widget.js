@@ -0,0 +1,155 @@
+import ImageLayerWidget from "/components/playground/widgets/image/image-layer-widget.js";
+import Rectangle from "/lib/shapes/rectangle.js";
+import config from "/components/playground/widgets/split/config.js";
+import store from "/lib/store/store.js";
+import { clamp } from "/lib/utils.js";
+
+/**
+ * Draggable divider over the image, showing the original image on its left and the carved one on its right.
+ * The original is either stretched to the carved size or left at its full size, see the "splitOriginal" state property.
+ */
+export default class SplitWidget extends ImageLayerWidget {
+  /** Position of the divider, relative to the width of the carved image. */
+  position = 0.5;
+
+  onInit() {
+    const interactable = this.addInteractable(
+      "divider",
+      new Rectangle(0, 0, 0, 0),
+    );
+
+    interactable.addEventListener("enter", () => {
+      this.cursorClient.add(config.divider.cursor);
+    });
+
+    interactable.addEventListener("leave", () => {
+      this.cursorClient.remove(config.divider.cursor);
+    });
+
+    interactable.addEventListener("drag", ({ x }) => {
+      const { width } = store.get("image");
+      const imageX = this.getImageCoordinates(x, 0).x;
+      this.position = clamp(imageX / width, 0, 1);
+    });
+  }
+
+  onStep() {
+    const original = store.helpers.getOriginalBitmap();
+    if (!original) return;
+
+    this.updateBounds(original);
+    this.drawOriginal(original);
+    this.drawDivider(original);
+  }
+
+  /**
+   * Returns the X-coordinate of the divider in worldspace.
+   *
+   * @returns {number}
+   */
+  getDividerX() {
+    const { width } = store.get("image");
+    return this.initialOffsetX + this.position * width;
+  }
+
+  /**
+   * Returns the height covered by the divider, which spans both images.
+   *
+   * @param {ImageBitmap} original - Original image.
+   * @returns {number}
+   */
+  getDividerHeight(original) {
+    const { height } = store.get("image");
+    if (store.get("splitOriginal") == "stretched") return height;
+    return Math.max(height, original.height);
+  }
+
+  /**
+   * Keeps the grabbable area of the divider the same width on screen at every zoom level.
+   *
+   * @param {ImageBitmap} original - Original image.
+   */
+  updateBounds(original) {
+    const hitWidth = config.divider.hitWidth / this.control.getScale();
+    const bounds = new Rectangle(
+      this.getDividerX() - hitWidth / 2,
+      this.initialOffsetY,
+      hitWidth,
+      this.getDividerHeight(original),
+    );
+
+    this.getInteractable("divider").setBounds(bounds);
+  }
+
+  /**
+   * Draws the original image on the left of the divider, over the carved one.
+   *
+   * @param {ImageBitmap} original - Original image.
+   */
+  drawOriginal(original) {
+    const { width, height } = store.get("image");
+    const isStretched = store.get("splitOriginal") == "stretched";
+    const originalWidth = isStretched ? width : original.width;
+    const originalHeight = isStretched ? height : original.height;
+    const clipWidth = this.getDividerX() - this.initialOffsetX;
+
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(
+      this.initialOffsetX,
+      this.initialOffsetY,
+      clipWidth,
+      originalHeight,
+    );
+    this.ctx.clip();
+    this.ctx.drawImage(
+      original,
+      this.initialOffsetX,
+      this.initialOffsetY,
+      originalWidth,
+      originalHeight,
+    );
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the divider line with a handle at its middle.
+   *
+   * @param {ImageBitmap} original - Original image.
+   */
+  drawDivider(original) {
+    const scale = this.control.getScale();
+    const x = this.getDividerX();
+    const height = this.getDividerHeight(original);
+    const centerY = this.initialOffsetY + height / 2;
+
+    this.ctx.strokeStyle = config.divider.color;
+    this.ctx.lineWidth = config.divider.lineWidth / scale;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, this.initialOffsetY);
+    this.ctx.lineTo(x, this.initialOffsetY + height);
+    this.ctx.stroke();
+
+    const radius = config.handle.radius / scale;
+    this.ctx.fillStyle = config.handle.color;
+    this.ctx.strokeStyle = config.handle.borderColor;
+    this.ctx.lineWidth = config.handle.borderWidth / scale;
+    this.ctx.beginPath();
+    this.ctx.arc(x, centerY, radius, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    // Arrows pointing both ways
+    const size = config.handle.arrowSize / scale;
+    this.ctx.fillStyle = config.handle.borderColor;
+    for (const side of [-1, 1]) {
+      const tipX = x + side * (radius / 2 + size / 2);
+      this.ctx.beginPath();
+      this.ctx.moveTo(tipX, centerY);
+      this.ctx.lineTo(tipX - side * size, centerY - size);
+      this.ctx.lineTo(tipX - side * size, centerY + size);
+      this.ctx.closePath();
+      this.ctx.fill();
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { getCSSVariable } from "/lib/utils.js";
+
+// Every size is in screenspace, the timeline stays pinned above the transport
+const config = {
+  track: {
+    maxWidth: 480,
+    margin: 24,
+    // Clears the transport bar and its margin
+    marginBottom: 80,
+    height: 4,
+    // Extends the grabbable area above and below the track
+    hitPadding: 8,
+    color: getCSSVariable("--outline"),
+    progressColor: getCSSVariable("--fg-secondary"),
+  },
+  tick: {
+    // Ticks are only drawn when they are at least this far apart
+    minSpacing: 6,
+    height: 8,
+    width: 1,
+    color: getCSSVariable("--fg-tertiary"),
+  },
+  knob: {
+    radius: 6,
+    color: getCSSVariable("--fg-primary"),
+    hoverColor: getCSSVariable("--fg-tertiary"),
+  },
+  thumbnail: {
+    maxSize: 120,
+    marginBottom: 12,
+    padding: 4,
+    borderRadius: 6,
+    borderWidth: 1,
+    color: getCSSVariable("--bg-secondary"),
+    borderColor: getCSSVariable("--outline"),
+  },
+  label: {
+    font: "12px Inter",
+    lineHeight: 16,
+    color: getCSSVariable("--fg-secondary"),
+  },
+};
+
+export default config;
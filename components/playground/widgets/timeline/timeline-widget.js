@@ -0,0 +1,348 @@
+import CanvasControl from "/lib/canvas-control/canvas-control.js";
+import Rectangle from "/lib/shapes/rectangle.js";
+import Widget from "/components/playground/widgets/base.js";
+import config from "/components/playground/widgets/timeline/config.js";
+import playback from "/lib/seam-carving/playback.js";
+import pointerTracker from "/lib/pointer-tracker.js";
+import store from "/lib/store/store.js";
+import { clamp } from "/lib/utils.js";
+import { isCommitting } from "/lib/seam-carving/carver.js";
+
+const LEFT_BUTTON = 0;
+
+/**
+ * Scrubber over every snapshot of history since the upload, pinned above the transport.
+ * Dragging jumps to the snapshot under the pointer, hovering previews it as a thumbnail.
+ */
+export default class TimelineWidget extends Widget {
+  // Screenspace controls stay above every image layer
+  static layer = 1;
+
+  /** @type {Function} */
+  unsubscribePointer;
+
+  dragging = false;
+
+  /** Whether the pointer cursor is shown, over the track. */
+  pointing = false;
+
+  /**
+   * Index of the snapshot under the pointer, if any.
+   *
+   * @type {number | null}
+   */
+  hoveredIndex = null;
+
+  /**
+   * @param {CanvasControl} control
+   */
+  constructor(control) {
+    super(control);
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+  }
+
+  onInit() {
+    this.attachEventListeners();
+  }
+
+  onStep() {
+    if (!this.isVisible()) return;
+
+    // History shrinks when a snapshot is taken after jumping back, and undo can leave the upload
+    const start = store.helpers.getHistoryStartIndex();
+    const end = store.helpers.getHistoryEndIndex();
+    if (this.hoveredIndex < start || this.hoveredIndex > end) {
+      this.hoveredIndex = null;
+    }
+
+    // Drawn in screenspace, on top of the world
+    this.ctx.save();
+    this.ctx.resetTransform();
+    this.drawTrack();
+    this.drawTicks();
+    this.drawKnob();
+    this.drawThumbnail();
+    this.ctx.restore();
+  }
+
+  onDestroy() {
+    this.cleanupEventListeners();
+  }
+
+  attachEventListeners() {
+    this.canvas.addEventListener("mousedown", this.handleMouseDown);
+    window.addEventListener("mousemove", this.handleMouseMove);
+    window.addEventListener("mouseup", this.handleMouseUp);
+    this.unsubscribePointer = pointerTracker.subscribe(
+      this.canvas,
+      this.handlePointerMove,
+    );
+  }
+
+  cleanupEventListeners() {
+    this.canvas.removeEventListener("mousedown", this.handleMouseDown);
+    window.removeEventListener("mousemove", this.handleMouseMove);
+    window.removeEventListener("mouseup", this.handleMouseUp);
+    this.unsubscribePointer();
+  }
+
+  /**
+   * Returns the number of positions on the track, one per snapshot of the active upload.
+   *
+   * @returns {number}
+   */
+  getCount() {
+    const start = store.helpers.getHistoryStartIndex();
+    return store.helpers.getHistoryEndIndex() - start + 1;
+  }
+
+  /**
+   * Returns whether there is more than one snapshot to scrub through.
+   *
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.getCount() > 1;
+  }
+
+  /**
+   * Returns the bounds of the track in screenspace.
+   *
+   * @returns {Rectangle}
+   */
+  getTrackBounds() {
+    const { maxWidth, margin, marginBottom, height } = config.track;
+    const width = Math.min(maxWidth, this.canvas.width - 2 * margin);
+    const x = (this.canvas.width - width) / 2;
+    const y = this.canvas.height - marginBottom - height;
+
+    return new Rectangle(x, y, width, height);
+  }
+
+  /**
+   * Returns whether a point in screenspace is over the track or its knob.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverTrack(x, y) {
+    if (!this.isVisible()) return false;
+
+    const track = this.getTrackBounds();
+    const padding = Math.max(config.track.hitPadding, config.knob.radius);
+    const hitArea = new Rectangle(
+      track.getX() - config.knob.radius,
+      track.getY() - padding,
+      track.getWidth() + 2 * config.knob.radius,
+      track.getHeight() + 2 * padding,
+    );
+
+    return hitArea.containsPoint(x, y);
+  }
+
+  /**
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverControl(x, y) {
+    return this.isOverTrack(x, y);
+  }
+
+  /**
+   * Returns the index of the snapshot closest to an X-coordinate on the track.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @returns {number}
+   */
+  getIndexAt(x) {
+    const track = this.getTrackBounds();
+    const progress = clamp((x - track.getX()) / track.getWidth(), 0, 1);
+    return (
+      store.helpers.getHistoryStartIndex() +
+      Math.round(progress * (this.getCount() - 1))
+    );
+  }
+
+  /**
+   * Returns the X-coordinate of a snapshot on the track.
+   *
+   * @param {number} index - Index of the snapshot.
+   * @returns {number} X-coordinate in screenspace.
+   */
+  getPosition(index) {
+    const track = this.getTrackBounds();
+    const progress =
+      (index - store.helpers.getHistoryStartIndex()) / (this.getCount() - 1);
+    return track.getX() + progress * track.getWidth();
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseDown(event) {
+    if (event.button != LEFT_BUTTON || !this.isOverTrack(event.x, event.y)) {
+      return;
+    }
+
+    // Jumping around history while playing would be undone by the next step
+    playback.pause();
+    this.dragging = true;
+    this.scrubTo(event.x);
+  }
+
+  /** @param {MouseEvent} event */
+  handleMouseMove(event) {
+    if (!this.dragging) return;
+    this.scrubTo(event.x);
+  }
+
+  handleMouseUp() {
+    this.dragging = false;
+  }
+
+  /**
+   * @param {number} x - X-coordinate of the pointer in screenspace.
+   * @param {number} y - Y-coordinate of the pointer in screenspace.
+   */
+  handlePointerMove(x, y) {
+    const isOverTrack = this.isOverTrack(x, y);
+    this.hoveredIndex =
+      this.dragging || isOverTrack ? this.getIndexAt(x) : null;
+
+    if (isOverTrack == this.pointing) return;
+    this.pointing = isOverTrack;
+    if (isOverTrack) this.cursorClient.add("pointer");
+    else this.cursorClient.remove("pointer");
+  }
+
+  /**
+   * Jumps to the snapshot closest to an X-coordinate on the track.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   */
+  scrubTo(x) {
+    // The snapshot of a step in progress would cut history short at the jumped index
+    if (isCommitting()) return;
+    store.history.jumpTo(this.getIndexAt(x));
+  }
+
+  drawTrack() {
+    const track = this.getTrackBounds();
+    const x = track.getX();
+    const y = track.getY();
+    const height = track.getHeight();
+    const progressWidth = this.getPosition(store.history.getIndex()) - x;
+
+    this.ctx.fillStyle = config.track.color;
+    this.ctx.beginPath();
+    this.ctx.roundRect(x, y, track.getWidth(), height, height / 2);
+    this.ctx.fill();
+
+    this.ctx.fillStyle = config.track.progressColor;
+    this.ctx.beginPath();
+    this.ctx.roundRect(x, y, progressWidth, height, height / 2);
+    this.ctx.fill();
+  }
+
+  drawTicks() {
+    const track = this.getTrackBounds();
+    const spacing = track.getWidth() / (this.getCount() - 1);
+    if (spacing < config.tick.minSpacing) return;
+
+    const centerY = track.getY() + track.getHeight() / 2;
+    this.ctx.fillStyle = config.tick.color;
+    for (
+      let i = store.helpers.getHistoryStartIndex();
+      i <= store.helpers.getHistoryEndIndex();
+      i++
+    ) {
+      this.ctx.fillRect(
+        this.getPosition(i) - config.tick.width / 2,
+        centerY - config.tick.height / 2,
+        config.tick.width,
+        config.tick.height,
+      );
+    }
+  }
+
+  drawKnob() {
+    const track = this.getTrackBounds();
+    const centerY = track.getY() + track.getHeight() / 2;
+
+    if (this.hoveredIndex != null && !this.dragging) {
+      this.ctx.fillStyle = config.knob.hoverColor;
+      this.ctx.beginPath();
+      this.ctx.arc(
+        this.getPosition(this.hoveredIndex),
+        centerY,
+        config.knob.radius,
+        0,
+        2 * Math.PI,
+      );
+      this.ctx.fill();
+    }
+
+    this.ctx.fillStyle = config.knob.color;
+    this.ctx.beginPath();
+    this.ctx.arc(
+      this.getPosition(store.history.getIndex()),
+      centerY,
+      config.knob.radius,
+      0,
+      2 * Math.PI,
+    );
+    this.ctx.fill();
+  }
+
+  /**
+   * Draws a thumbnail of the hovered snapshot above the track, labelled with its index and size.
+   */
+  drawThumbnail() {
+    if (this.hoveredIndex == null) return;
+
+    const { bitmap } = store.history.get(this.hoveredIndex);
+    const { maxSize, padding, marginBottom } = config.thumbnail;
+    const fit = Math.min(maxSize / bitmap.width, maxSize / bitmap.height, 1);
+    const imageWidth = bitmap.width * fit;
+    const imageHeight = bitmap.height * fit;
+
+    const step = this.hoveredIndex - store.helpers.getHistoryStartIndex();
+    const label = `#${step} · ${bitmap.width}x${bitmap.height}`;
+    this.ctx.font = config.label.font;
+    const labelWidth = this.ctx.measureText(label).width;
+
+    const width = Math.max(imageWidth, labelWidth) + 2 * padding;
+    const height = imageHeight + config.label.lineHeight + 3 * padding;
+    const centerX = this.getPosition(this.hoveredIndex);
+    const x = clamp(centerX - width / 2, 0, this.canvas.width - width);
+    const y =
+      this.getTrackBounds().getY() - config.knob.radius - marginBottom - height;
+
+    this.ctx.fillStyle = config.thumbnail.color;
+    this.ctx.strokeStyle = config.thumbnail.borderColor;
+    this.ctx.lineWidth = config.thumbnail.borderWidth;
+    this.ctx.beginPath();
+    this.ctx.roundRect(x, y, width, height, config.thumbnail.borderRadius);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    const imageX = x + (width - imageWidth) / 2;
+    this.ctx.drawImage(bitmap, imageX, y + padding, imageWidth, imageHeight);
+
+    this.ctx.fillStyle = config.label.color;
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(
+      label,
+      x + (width - labelWidth) / 2,
+      y + height - padding - config.label.lineHeight / 2,
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import {
+  FastForward,
+  Pause,
+  Play,
+  SkipBack,
+  SkipForward,
+  StepBack,
+  StepForward,
+} from "lucide";
+import { getCSSVariable, getIconPaths } from "/lib/utils.js";
+
+// Every size is in screenspace, the transport stays pinned to the bottom of the canvas
+const config = {
+  bar: {
+    marginBottom: 24,
+    padding: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    color: getCSSVariable("--bg-secondary"),
+    borderColor: getCSSVariable("--outline"),
+  },
+  button: {
+    size: 32,
+    gap: 4,
+    borderRadius: 6,
+    color: getCSSVariable("--bg-secondary"),
+    hoverColor: getCSSVariable("--bg-tertiary"),
+    activeColor: getCSSVariable("--outline"),
+  },
+  icon: {
+    // Lucide icons are drawn in a 24x24 viewbox
+    viewboxSize: 24,
+    size: 18,
+    lineWidth: 2,
+    color: getCSSVariable("--fg-secondary"),
+    hoverColor: getCSSVariable("--fg-primary"),
+    disabledColor: getCSSVariable("--fg-tertiary"),
+    paths: {
+      start: getIconPaths(SkipBack),
+      back: getIconPaths(StepBack),
+      play: getIconPaths(Play),
+      pause: getIconPaths(Pause),
+      forward: getIconPaths(StepForward),
+      fastForward: getIconPaths(FastForward),
+      end: getIconPaths(SkipForward),
+    },
+  },
+};
+
+export default config;
@@ -0,0 +1,297 @@
+import Rectangle from "/lib/shapes/rectangle.js";
+import Widget from "/components/playground/widgets/base.js";
+import config from "/components/playground/widgets/transport/config.js";
+import playback from "/lib/seam-carving/playback.js";
+import { isCommitting } from "/lib/seam-carving/carver.js";
+
+/**
+ * @typedef {"start" | "back" | "play" | "forward" | "fastForward" | "end"} TransportButton
+ */
+
+/** @type {TransportButton[]} */
+const buttons = ["start", "back", "play", "forward", "fastForward", "end"];
+
+/**
+ * Playback controls pinned to the bottom of the canvas, stepping through the carving one seam at a time.
+ */
+export default class TransportWidget extends Widget {
+  // Screenspace controls stay above every image layer
+  static layer = 1;
+
+  /** @type {Set<TransportButton>} */
+  hovered = new Set();
+
+  /** Whether the pointer cursor is shown, over an enabled button. */
+  pointing = false;
+
+  onInit() {
+    for (const button of buttons) {
+      this.setupButton(button);
+    }
+  }
+
+  onStep() {
+    this.updateBounds();
+    this.updateCursor();
+
+    // Drawn in screenspace, on top of the world
+    this.ctx.save();
+    this.ctx.resetTransform();
+    this.drawBar();
+    for (const button of buttons) {
+      this.drawButton(button);
+    }
+    this.ctx.restore();
+  }
+
+  onDestroy() {
+    playback.pause();
+  }
+
+  /**
+   * @param {TransportButton} button
+   */
+  setupButton(button) {
+    this.addColor(button, config.button.color);
+    this.addColor(`${button}-icon`, config.icon.color);
+
+    const interactable = this.addInteractable(
+      button,
+      new Rectangle(0, 0, 0, 0),
+    );
+
+    interactable.addEventListener("enter", () => {
+      this.hovered.add(button);
+      this.setColor(button, config.button.hoverColor);
+      this.setColor(`${button}-icon`, config.icon.hoverColor);
+    });
+
+    interactable.addEventListener("leave", () => {
+      this.hovered.delete(button);
+      this.setColor(button, config.button.color);
+      this.setColor(`${button}-icon`, config.icon.color);
+    });
+
+    interactable.addEventListener("click", () => {
+      if (this.isEnabled(button)) this.press(button);
+    });
+  }
+
+  /**
+   * Returns whether a button can be pressed in the current state.
+   *
+   * @param {TransportButton} button
+   * @returns {boolean}
+   */
+  isEnabled(button) {
+    const mode = playback.getMode();
+    const isFree = !isCommitting();
+
+    switch (button) {
+      case "start":
+      case "back":
+        return isFree && playback.canStepBack();
+
+      case "play":
+      case "fastForward":
+        return mode != "paused" || (isFree && playback.canStepForward());
+
+      case "forward":
+        return mode == "paused" && isFree && playback.canStepForward();
+
+      case "end":
+        return isFree && playback.canReplay();
+    }
+  }
+
+  /**
+   * Returns whether a button toggles a playing mode that is currently on.
+   *
+   * @param {TransportButton} button
+   * @returns {boolean}
+   */
+  isActive(button) {
+    const mode = playback.getMode();
+    if (button == "play") return mode == "playing";
+    if (button == "fastForward") return mode == "fast-forward";
+    return false;
+  }
+
+  /**
+   * @param {TransportButton} button
+   */
+  press(button) {
+    switch (button) {
+      case "start":
+        playback.jumpToStart();
+        break;
+
+      case "back":
+        playback.stepBack();
+        break;
+
+      case "play":
+        if (this.isActive(button)) playback.pause();
+        else playback.play();
+        break;
+
+      case "forward":
+        playback.stepForward();
+        break;
+
+      case "fastForward":
+        if (this.isActive(button)) playback.pause();
+        else playback.fastForward();
+        break;
+
+      case "end":
+        playback.jumpToEnd();
+        break;
+    }
+  }
+
+  /**
+   * Takes presses anywhere on the bar, not only on its buttons.
+   *
+   * @param {number} x - X-coordinate in screenspace.
+   * @param {number} y - Y-coordinate in screenspace.
+   * @returns {boolean}
+   */
+  isOverControl(x, y) {
+    return this.getBarBounds().containsPoint(x, y);
+  }
+
+  /**
+   * Returns the bounds of the bar in screenspace.
+   *
+   * @returns {Rectangle}
+   */
+  getBarBounds() {
+    const { size, gap } = config.button;
+    const { padding, marginBottom } = config.bar;
+
+    const width = buttons.length * (size + gap) - gap + 2 * padding;
+    const height = size + 2 * padding;
+    const x = (this.canvas.width - width) / 2;
+    const y = this.canvas.height - marginBottom - height;
+
+    return new Rectangle(x, y, width, height);
+  }
+
+  /**
+   * Returns the bounds of a button in screenspace.
+   *
+   * @param {TransportButton} button
+   * @returns {Rectangle}
+   */
+  getButtonBounds(button) {
+    const { size, gap } = config.button;
+    const bar = this.getBarBounds();
+    const index = buttons.indexOf(button);
+
+    const x = bar.getX() + config.bar.padding + index * (size + gap);
+    const y = bar.getY() + config.bar.padding;
+    return new Rectangle(x, y, size, size);
+  }
+
+  /**
+   * Moves the bounds of every button to worldspace, where interactables are hit-tested.
+   */
+  updateBounds() {
+    for (const button of buttons) {
+      const bounds = this.getButtonBounds(button);
+      const x = bounds.getX();
+      const y = bounds.getY();
+      const topLeft = this.control.getWorldCoordinates(x, y);
+      const bottomRight = this.control.getWorldCoordinates(
+        x + bounds.getWidth(),
+        y + bounds.getHeight(),
+      );
+
+      this.getInteractable(button).setBounds(
+        new Rectangle(
+          topLeft.x,
+          topLeft.y,
+          bottomRight.x - topLeft.x,
+          bottomRight.y - topLeft.y,
+        ),
+      );
+    }
+  }
+
+  /**
+   * Shows the pointer cursor over enabled buttons only, as buttons enable and disable between frames.
+   */
+  updateCursor() {
+    const isPointing = [...this.hovered].some((button) =>
+      this.isEnabled(button),
+    );
+    if (isPointing == this.pointing) return;
+
+    this.pointing = isPointing;
+    if (isPointing) this.cursorClient.add("pointer");
+    else this.cursorClient.remove("pointer");
+  }
+
+  drawBar() {
+    const bounds = this.getBarBounds();
+
+    this.ctx.fillStyle = config.bar.color;
+    this.ctx.strokeStyle = config.bar.borderColor;
+    this.ctx.lineWidth = config.bar.borderWidth;
+    this.ctx.beginPath();
+    this.ctx.roundRect(
+      bounds.getX(),
+      bounds.getY(),
+      bounds.getWidth(),
+      bounds.getHeight(),
+      config.bar.borderRadius,
+    );
+    this.ctx.fill();
+    this.ctx.stroke();
+  }
+
+  /**
+   * @param {TransportButton} button
+   */
+  drawButton(button) {
+    const bounds = this.getButtonBounds(button);
+    const x = bounds.getX();
+    const y = bounds.getY();
+    const isEnabled = this.isEnabled(button);
+
+    this.ctx.fillStyle = this.isActive(button)
+      ? config.button.activeColor
+      : this.getColor(button);
+    this.ctx.beginPath();
+    this.ctx.roundRect(
+      x,
+      y,
+      bounds.getWidth(),
+      bounds.getHeight(),
+      config.button.borderRadius,
+    );
+    this.ctx.fill();
+
+    const paths =
+      button == "play" && this.isActive(button)
+        ? config.icon.paths.pause
+        : config.icon.paths[button];
+    const iconScale = config.icon.size / config.icon.viewboxSize;
+    const iconOffset = (config.button.size - config.icon.size) / 2;
+
+    this.ctx.save();
+    this.ctx.translate(x + iconOffset, y + iconOffset);
+    this.ctx.scale(iconScale, iconScale);
+    this.ctx.strokeStyle = isEnabled
+      ? this.getColor(`${button}-icon`)
+      : config.icon.disabledColor;
+    this.ctx.lineWidth = config.icon.lineWidth;
+    this.ctx.lineCap = "round";
+    this.ctx.lineJoin = "round";
+    for (const path of paths) {
+      this.ctx.stroke(path);
+    }
+    this.ctx.restore();
+  }
+}
@@ -3,8 +3,8 @@ import Circle from "/lib/shapes/circle.js";
 import Rectangle from "/lib/shapes/rectangle.js";
 import Widget from "/components/playground/widgets/base.js";
 import config from "/components/playground/widgets/upload/config.js";
-import store from "/lib/store/store.js";
 import toastEvent from "/lib/events/toast-event.js";
+import { uploadImage } from "/lib/seam-carving/carver.js";
 import { isImageFile, decodeImageFile } from "/lib/utils.js";
 
 export default class UploadWidget extends Widget {
@@ -140,7 +140,7 @@ export default class UploadWidget extends Widget {
     const imageFile = this.input.files[0];
 
     decodeImageFile(imageFile)
-      .then((image) => store.set("image", image))
+      .then((image) => uploadImage(image))
       .catch((error) => console.error(error));
   }
 
@@ -182,7 +182,7 @@ export default class UploadWidget extends Widget {
     }
 
     decodeImageFile(imageFile)
-      .then((image) => store.set("image", image))
+      .then((image) => uploadImage(image))
       .catch((error) => console.error(error));
   }
 
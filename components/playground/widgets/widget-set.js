@@ -10,7 +10,7 @@ export default class WidgetSet {
 
   /**
    * Internal map storing widget constructors as keys and their singleton instances as values.
-   * Ensures only one instance per widget class exists.
+   * Ensures only one instance per widget class exists. Ordered by drawing layer.
    *
    * @type {Map<WidgetConstructor, Widget>}
    */
@@ -39,6 +39,10 @@ export default class WidgetSet {
     const widget = new WidgetConstructor(this.control);
     widget.init();
     this.map.set(WidgetConstructor, widget);
+
+    // Sorting is stable, widgets on the same layer keep their insertion order
+    const entries = [...this.map].sort(([a], [b]) => a.layer - b.layer);
+    this.map = new Map(entries);
   }
 
   /**
@@ -0,0 +1,149 @@
+import Component from "/components/base.js";
+import shortcutManager from "/lib/shortcut-manager.js";
+import { html } from "/lib/utils.js";
+
+/** @import { Shortcut } from "/lib/shortcut-manager.js" */
+
+/**
+ * Modal overlay listing every registered keyboard shortcut, by group.
+ * The list is rebuilt whenever the overlay opens, since widgets register their shortcuts as they come and go.
+ */
+export default class ShortcutHelp extends Component {
+  shortcutClient;
+
+  /** @type {HTMLDialogElement} */
+  dialog;
+
+  /** @type {HTMLElement} */
+  list;
+
+  constructor() {
+    super();
+
+    this.shortcutClient = shortcutManager.createClient();
+    this.dialog = this.root.querySelector("dialog");
+    this.list = this.root.querySelector(".groups");
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.toggle = this.toggle.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  render() {
+    return html`
+      <dialog aria-labelledby="shortcut-help-title">
+        <header>
+          <h2 id="shortcut-help-title">Keyboard shortcuts</h2>
+          <button class="close" title="Close">
+            <i data-lucide="x"></i>
+          </button>
+        </header>
+        <div class="groups"></div>
+      </dialog>
+    `;
+  }
+
+  connectedCallback() {
+    this.dialog.addEventListener("click", this.handleClick);
+    this.dialog.addEventListener("keydown", this.handleKeyDown);
+
+    this.shortcutClient.register({
+      id: "help.toggle",
+      description: "Show keyboard shortcuts",
+      group: "General",
+      keys: ["?"],
+      run: this.toggle,
+    });
+  }
+
+  disconnectedCallback() {
+    this.dialog.removeEventListener("click", this.handleClick);
+    this.dialog.removeEventListener("keydown", this.handleKeyDown);
+    this.shortcutClient.cleanup();
+  }
+
+  toggle() {
+    if (this.dialog.open) {
+      this.dialog.close();
+      return;
+    }
+
+    this.list.innerHTML = this.renderGroups();
+    this.dialog.showModal();
+  }
+
+  /**
+   * Closes the overlay when its backdrop or close button is clicked.
+   *
+   * @param {MouseEvent} event
+   */
+  handleClick(event) {
+    const target = /** @type {Element} */ (event.target);
+    if (target == this.dialog || target.closest(".close")) {
+      this.dialog.close();
+    }
+  }
+
+  /**
+   * Keeps shortcuts from running behind the overlay. Escape still closes it, as for every modal dialog.
+   *
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    event.stopPropagation();
+    if (event.key == "?") this.dialog.close();
+  }
+
+  /**
+   * Returns the HTML of every registered shortcut, grouped in the order groups were first registered in.
+   *
+   * @returns {string}
+   */
+  renderGroups() {
+    /** @type {Map<string, Shortcut[]>} */
+    const groups = new Map();
+    for (const shortcut of shortcutManager.getShortcuts()) {
+      if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+      groups.get(shortcut.group).push(shortcut);
+    }
+
+    return [...groups]
+      .map(
+        ([group, shortcuts]) => html`
+          <section>
+            <h3>${group}</h3>
+            <dl>
+              ${shortcuts.map((shortcut) => this.renderShortcut(shortcut)).join("")}
+            </dl>
+          </section>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * @param {Shortcut} shortcut
+   * @returns {string}
+   */
+  renderShortcut(shortcut) {
+    const combinations = shortcut.keys.map((keys) => {
+      const labels = shortcutManager.formatKeys(keys);
+      return labels.map((label) => `<kbd>${label}</kbd>`).join("");
+    });
+
+    return html`
+      <dt>${shortcut.description}</dt>
+      <dd>${combinations.join('<span class="or">or</span>')}</dd>
+    `;
+  }
+}
+
+Component.register(ShortcutHelp, {
+  tag: "x-shortcut-help",
+  path: import.meta.url,
+  styles: ["shortcut-help.css"],
+});
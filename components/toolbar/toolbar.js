@@ -0,0 +1,404 @@
+import Component from "/components/base.js";
+import committingEvent from "/lib/events/committing-event.js";
+import historyEvent from "/lib/events/history-event.js";
+import progressEvent from "/lib/events/progress-event.js";
+import playback from "/lib/seam-carving/playback.js";
+import shortcutManager from "/lib/shortcut-manager.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { carve, isCommitting, uploadImage } from "/lib/seam-carving/carver.js";
+import { decodeImageFile, html } from "/lib/utils.js";
+
+/**
+ * @typedef {"upload"
+ *   | "undo"
+ *   | "redo"
+ *   | "zoomIn"
+ *   | "zoomOut"
+ *   | "brush"
+ *   | "eraser"
+ *   | "carve"
+ *   | "help"} ToolbarAction
+ */
+
+/** @import { Progress } from "/lib/seam-carving/carver.js" */
+/** @import { Job } from "/lib/seam-carving/worker-client.js" */
+
+/** @type {Record<Job["type"], string>} */
+const operationLabels = {
+  carve: "Removing seams",
+  enlarge: "Inserting seams",
+  "transport-map": "Ordering seams",
+  "seam-index": "Indexing seams",
+  "remove-object": "Removing object",
+  energy: "Computing energy",
+  "seam-search": "Searching seam",
+};
+
+/**
+ * Row of buttons floating over the top-left corner of the playground.
+ * Buttons are enabled and pressed according to the store, and refreshed on every change that affects them.
+ * A bar along the bottom edge shows the progress of the operation committing images to history, if any.
+ */
+export default class Toolbar extends Component {
+  storeClient;
+  historyClient;
+  committingClient;
+  progressClient;
+  shortcutClient;
+
+  /** @type {HTMLInputElement} */
+  input;
+
+  /** @type {HTMLElement} */
+  progress;
+
+  /** @type {HTMLElement} */
+  progressBar;
+
+  /** @type {Map<ToolbarAction, HTMLButtonElement>} */
+  buttons = new Map();
+
+  /** Whether a seam is being carved from the toolbar. */
+  carving = false;
+
+  constructor() {
+    super();
+
+    this.storeClient = store.createClient();
+    this.historyClient = historyEvent.createClient();
+    this.committingClient = committingEvent.createClient();
+    this.progressClient = progressEvent.createClient();
+    this.shortcutClient = shortcutManager.createClient();
+    this.input = this.root.querySelector("input");
+    this.progress = this.root.querySelector(".progress");
+    this.progressBar = this.root.querySelector(".progress-bar");
+    for (const button of this.root.querySelectorAll("button")) {
+      const action = /** @type {ToolbarAction} */ (button.dataset.action);
+      this.buttons.set(action, button);
+    }
+
+    this.bindMethods();
+  }
+
+  bindMethods() {
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleInputChange = this.handleInputChange.bind(this);
+    this.handleCommittingChange = this.handleCommittingChange.bind(this);
+    this.handleProgress = this.handleProgress.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  render() {
+    return html`
+      <div class="toolbar">
+        <button data-action="upload" title="Upload image">
+          <i data-lucide="upload"></i>
+        </button>
+        <div class="separator"></div>
+        <button data-action="undo" title="Undo">
+          <i data-lucide="undo-2"></i>
+        </button>
+        <button data-action="redo" title="Redo">
+          <i data-lucide="redo-2"></i>
+        </button>
+        <div class="separator"></div>
+        <button data-action="zoomOut" title="Zoom out">
+          <i data-lucide="zoom-out"></i>
+        </button>
+        <button data-action="zoomIn" title="Zoom in">
+          <i data-lucide="zoom-in"></i>
+        </button>
+        <div class="separator"></div>
+        <button data-action="brush" title="Protect brush">
+          <i data-lucide="paintbrush"></i>
+        </button>
+        <button data-action="eraser" title="Eraser">
+          <i data-lucide="eraser"></i>
+        </button>
+        <div class="separator"></div>
+        <button data-action="carve" title="Carve one seam">
+          <i data-lucide="slice"></i>
+        </button>
+        <div class="separator"></div>
+        <button data-action="help" title="Keyboard shortcuts">
+          <i data-lucide="circle-question-mark"></i>
+        </button>
+        <div class="progress" role="progressbar" aria-valuemin="0" hidden>
+          <div class="progress-bar"></div>
+        </div>
+      </div>
+      <input type="file" accept="image/*" />
+    `;
+  }
+
+  connectedCallback() {
+    this.root.addEventListener("click", this.handleClick);
+    this.root.addEventListener("mousedown", this.handleMouseDown);
+    this.input.addEventListener("change", this.handleInputChange);
+    this.subscribeToStore();
+    this.registerShortcuts();
+    this.update();
+  }
+
+  disconnectedCallback() {
+    this.root.removeEventListener("click", this.handleClick);
+    this.root.removeEventListener("mousedown", this.handleMouseDown);
+    this.input.removeEventListener("change", this.handleInputChange);
+    this.storeClient.unsubscribe();
+    this.historyClient.unsubscribe();
+    this.committingClient.unsubscribe();
+    this.progressClient.unsubscribe();
+    this.shortcutClient.cleanup();
+  }
+
+  subscribeToStore() {
+    this.storeClient.subscribe("image", this.update);
+    this.storeClient.subscribe("scale", this.update);
+    this.storeClient.subscribe("maskBrush", this.update);
+    this.storeClient.subscribe("direction", this.update);
+    this.historyClient.subscribe(this.update);
+    this.committingClient.subscribe(this.handleCommittingChange);
+    this.progressClient.subscribe(this.handleProgress);
+  }
+
+  registerShortcuts() {
+    this.shortcutClient.register({
+      id: "history.undo",
+      description: "Undo",
+      group: "History",
+      keys: ["Mod+Z"],
+      repeat: true,
+      run: () => this.run("undo"),
+    });
+
+    this.shortcutClient.register({
+      id: "history.redo",
+      description: "Redo",
+      group: "History",
+      keys: ["Mod+Shift+Z", "Mod+Y"],
+      repeat: true,
+      run: () => this.run("redo"),
+    });
+  }
+
+  /** @param {MouseEvent} event */
+  handleClick(event) {
+    const target = /** @type {Element} */ (event.target);
+    const button = target.closest("button");
+    if (!button || button.disabled) return;
+
+    this.run(/** @type {ToolbarAction} */ (button.dataset.action));
+  }
+
+  /**
+   * Keeps the focus on the canvas, so that a focused button does not also take keys such as Space.
+   *
+   * @param {MouseEvent} event
+   */
+  handleMouseDown(event) {
+    event.preventDefault();
+  }
+
+  handleInputChange() {
+    const imageFile = this.input.files[0];
+    if (!imageFile) return;
+
+    // The upload is committed like any other image change, so undo brings the previous image back
+    const hasImage = store.get("image") != null;
+
+    decodeImageFile(imageFile)
+      .then((image) => uploadImage(image))
+      .then(() => {
+        if (!hasImage) return;
+
+        toastEvent.emit({
+          status: "success",
+          message: "Replaced the image, undo to bring the previous one back.",
+        });
+      })
+      .catch((error) => {
+        toastEvent.emit({
+          status: "error",
+          message: `Upload failed: ${error.message}`,
+        });
+      })
+      .finally(() => {
+        this.input.value = "";
+      });
+  }
+
+  /**
+   * Refreshes the buttons, and hides the progress bar once the operation is done.
+   *
+   * @param {boolean} committing - Whether an operation is committing images to history.
+   */
+  handleCommittingChange(committing) {
+    if (!committing) this.progress.hidden = true;
+    this.update();
+  }
+
+  /**
+   * Shows the progress of the running operation, unless it takes a single step such as one playback step.
+   *
+   * @param {Progress} progress
+   */
+  handleProgress({ operation, step, total }) {
+    if (total <= 1) return;
+
+    const label = `${operationLabels[operation]}: ${step} of ${total}`;
+    this.progress.hidden = false;
+    this.progress.title = label;
+    this.progress.setAttribute("aria-label", label);
+    this.progress.setAttribute("aria-valuenow", String(step));
+    this.progress.setAttribute("aria-valuemax", String(total));
+    this.progressBar.style.width = `${(100 * step) / total}%`;
+  }
+
+  /**
+   * Runs the action of a button, unless it cannot be pressed in the current state.
+   *
+   * @param {ToolbarAction} action
+   */
+  run(action) {
+    if (!this.isEnabled(action)) return;
+
+    switch (action) {
+      case "upload":
+        this.input.click();
+        break;
+
+      case "undo":
+        store.undo();
+        break;
+
+      case "redo":
+        store.redo();
+        break;
+
+      case "zoomIn":
+        store.helpers.scaleUp(store.get("scale"));
+        break;
+
+      case "zoomOut":
+        store.helpers.scaleDown(store.get("scale"));
+        break;
+
+      case "brush":
+        store.set("maskBrush", this.isPressed("brush") ? null : "protect");
+        break;
+
+      case "eraser":
+        store.set("maskBrush", this.isPressed("eraser") ? null : "erase");
+        break;
+
+      case "carve":
+        this.carveSeam();
+        break;
+
+      case "help":
+        shortcutManager.run("help.toggle");
+        break;
+    }
+  }
+
+  /**
+   * Removes one seam in the direction of playback, without redoing any undone step.
+   */
+  async carveSeam() {
+    this.carving = true;
+    this.update();
+
+    try {
+      await carve(playback.getDirection(), 1);
+    } catch (error) {
+      toastEvent.emit({
+        status: "error",
+        message: `Carving failed: ${error.message}`,
+      });
+    } finally {
+      this.carving = false;
+      this.update();
+    }
+  }
+
+  /**
+   * Returns whether a button can be pressed in the current state.
+   *
+   * @param {ToolbarAction} action
+   * @returns {boolean}
+   */
+  isEnabled(action) {
+    const image = store.get("image");
+    const scale = store.get("scale");
+
+    switch (action) {
+      case "upload":
+        return !isCommitting();
+
+      case "help":
+        return true;
+
+      case "undo":
+        return store.canUndo() && !isCommitting();
+
+      case "redo":
+        return store.canRedo() && !isCommitting();
+
+      case "zoomIn":
+        return store.helpers.canScaleUp(scale);
+
+      case "zoomOut":
+        return store.helpers.canScaleDown(scale);
+
+      case "brush":
+      case "eraser":
+        return image != null;
+
+      case "carve": {
+        if (!image || this.carving || isCommitting()) return false;
+        const isVertical = playback.getDirection() == "vertical";
+        return (isVertical ? image.width : image.height) > 1;
+      }
+    }
+  }
+
+  /**
+   * Returns whether a button toggles a brush that is currently selected.
+   * Both painting brushes press the brush button, see the mask keyboard shortcuts to switch between them.
+   *
+   * @param {ToolbarAction} action
+   * @returns {boolean}
+   */
+  isPressed(action) {
+    const brush = store.get("maskBrush");
+
+    switch (action) {
+      case "brush":
+        return brush == "protect" || brush == "remove";
+
+      case "eraser":
+        return brush == "erase";
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Refreshes the enabled and pressed state of every button.
+   */
+  update() {
+    for (const [action, button] of this.buttons) {
+      button.disabled = !this.isEnabled(action);
+      button.setAttribute("aria-pressed", String(this.isPressed(action)));
+    }
+  }
+}
+
+Component.register(Toolbar, {
+  tag: "x-toolbar",
+  path: import.meta.url,
+  styles: ["toolbar.css"],
+});
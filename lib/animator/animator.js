@@ -1,8 +1,13 @@
-import { easeOutCubic, easeInOutCubic, easeOutExpo } from "/lib/animator/easings.js";
+import {
+  easeOutCubic,
+  easeInOutCubic,
+  easeOutExpo,
+  linear,
+} from "/lib/animator/easings.js";
 import { map } from "/lib/utils.js";
 
 /**
- * @typedef {"ease-in-out-cubic" | "ease-out-cubic" | "ease-out-expo"} Easing
+ * @typedef {"linear" | "ease-in-out-cubic" | "ease-out-cubic" | "ease-out-expo"} Easing
  */
 
 /**
@@ -126,6 +131,10 @@ export default class Animator {
    */
   setEasing(easing) {
     switch (easing) {
+      case "linear":
+        this.ease = linear;
+        break;
+
       case "ease-out-cubic":
         this.ease = easeOutCubic;
         break;
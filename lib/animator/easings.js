@@ -1,3 +1,13 @@
+/**
+ * Applies no easing to a progress value and returns it.
+ *
+ * @param {number} x - Absolute progress of the animation. Between 0 and 1.
+ * @returns {number} Progress. Between 0 and 1.
+ */
+export function linear(x) {
+  return x;
+}
+
 /**
  * Applies cubic ease-out easing to a progress value and returns it.
  *
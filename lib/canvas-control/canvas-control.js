@@ -1,6 +1,7 @@
 import Animator from "/lib/animator/animator.js";
 import InputHandler from "/lib/canvas-control/handlers/base.js";
 import MouseKeyboardHandler from "/lib/canvas-control/handlers/mouse-keyboard-handler.js";
+import Rectangle from "/lib/shapes/rectangle.js";
 import TouchHandler from "/lib/canvas-control/handlers/touch-handler.js";
 import { clamp } from "/lib/utils.js";
 
@@ -23,6 +24,7 @@ import { clamp } from "/lib/utils.js";
  * @property {number} velocityThreshold - Minimum velocity required for easing.
  * @property {number} defaultScale - Default scale value.
  * @property {number} scaleEasingDuration - Duration for scale transition animation in milliseconds.
+ * @property {number} focusEasingDuration - Duration for focus transition animation in milliseconds.
  * @property {number} pinchScaleSensitivity - Conversion factor from pinch distance to scale.
  * @property {number} maxScale - Maximum allowed scale value.
  * @property {number} minScale - Minimum allowed scale value.
@@ -37,6 +39,7 @@ const defaultOptions = {
   velocityThreshold: 0.5,
   defaultScale: 1,
   scaleEasingDuration: 100,
+  focusEasingDuration: 300,
   pinchScaleSensitivity: 0.005,
   maxScale: 8,
   minScale: 0.125,
@@ -44,6 +47,11 @@ const defaultOptions = {
   getPreviousScale: (scale) => scale / 2,
 };
 
+/**
+ * @typedef {Object} FocusOptions
+ * @property {boolean} ease - Whether to animate the focus transition smoothly. Defaults to true.
+ */
+
 /**
  * @typedef {Object} ScalingOptions
  * @property {boolean} ease - Whether to animate the scale transition smoothly. Defaults to true.
@@ -79,6 +87,12 @@ export default class CanvasControl {
   scaleX = 0;
   scaleY = 0;
 
+  /** Animates the X-coordinate of the world point centered on the canvas. */
+  focusAnimatorX;
+
+  /** Animates the Y-coordinate of the world point centered on the canvas. */
+  focusAnimatorY;
+
   /**
    * Creates a new CanvasControl object.
    *
@@ -94,6 +108,14 @@ export default class CanvasControl {
       easing: "ease-out-cubic",
       duration: this.options.scaleEasingDuration,
     });
+    this.focusAnimatorX = new Animator(0, {
+      easing: "ease-out-cubic",
+      duration: this.options.focusEasingDuration,
+    });
+    this.focusAnimatorY = new Animator(0, {
+      easing: "ease-out-cubic",
+      duration: this.options.focusEasingDuration,
+    });
   }
 
   /**
@@ -116,6 +138,7 @@ export default class CanvasControl {
     this.updatePosition();
     this.easeVelocity();
     this.easeScale();
+    this.easeFocus();
     this.applyTransform();
 
     this.lastPanX = this.panX;
@@ -178,6 +201,77 @@ export default class CanvasControl {
       this.scaleY - this.initialCenterY - scale * worldScalePoint.y;
   }
 
+  /**
+   * Smoothly transitions the world point centered on the canvas toward the target focus over time.
+   * Runs after easeScale() so that the focus holds while scaling.
+   */
+  easeFocus() {
+    if (this.focusAnimatorX.hasEnded() && this.focusAnimatorY.hasEnded()) {
+      return;
+    }
+
+    this.focusAnimatorX.step();
+    this.focusAnimatorY.step();
+    this.adjustFocusTranslation();
+  }
+
+  /**
+   * Adjusts translation to keep the current focus point centered on the canvas.
+   */
+  adjustFocusTranslation() {
+    const scale = this.scaleAnimator.getValue();
+    const centerX = this.canvas.width >> 1;
+    const centerY = this.canvas.height >> 1;
+
+    this.translationX =
+      centerX - this.initialCenterX - scale * this.focusAnimatorX.getValue();
+    this.translationY =
+      centerY - this.initialCenterY - scale * this.focusAnimatorY.getValue();
+  }
+
+  /**
+   * Returns the world point currently centered on the canvas.
+   *
+   * @returns {Point}
+   */
+  getCenter() {
+    const scale = this.scaleAnimator.getValue();
+    const centerX = this.canvas.width >> 1;
+    const centerY = this.canvas.height >> 1;
+
+    return {
+      x: (centerX - this.initialCenterX - this.translationX) / scale,
+      y: (centerY - this.initialCenterY - this.translationY) / scale,
+    };
+  }
+
+  /**
+   * Centers the canvas on the specified point in worldspace with optional easing.
+   *
+   * @param {number} x - X-coordinate in worldspace.
+   * @param {number} y - Y-coordinate in worldspace.
+   * @param {Partial<FocusOptions>} [options] - Focus configuration options.
+   */
+  centerOn(x, y, options = {}) {
+    const { ease: easeFocus = true } = options;
+
+    // Any leftover panning velocity would drift away from the focus point
+    this.deltaPanX = 0;
+    this.deltaPanY = 0;
+
+    const center = this.getCenter();
+    this.focusAnimatorX.setValue(center.x);
+    this.focusAnimatorY.setValue(center.y);
+    this.focusAnimatorX.setTarget(x);
+    this.focusAnimatorY.setTarget(y);
+
+    if (!easeFocus) {
+      this.focusAnimatorX.end();
+      this.focusAnimatorY.end();
+      this.adjustFocusTranslation();
+    }
+  }
+
   /**
    * Applies the transformation matrix to the canvas.
    */
@@ -211,6 +305,10 @@ export default class CanvasControl {
    * @param {number} y - Y-coordinate in screenspace.
    */
   panStart(x, y) {
+    // Grabbing the canvas stops any focus transition where it stands
+    this.focusAnimatorX.setValue(this.focusAnimatorX.getValue());
+    this.focusAnimatorY.setValue(this.focusAnimatorY.getValue());
+
     this.panning = true;
     this.lastPanX = x;
     this.lastPanY = y;
@@ -304,6 +402,39 @@ export default class CanvasControl {
     this.setScale(newScale, options);
   }
 
+  /**
+   * Scales and centers the canvas so that the specified rectangle fits entirely in it.
+   * The resulting scale is clamped to the configured bounds, so very large or small rectangles may not fit exactly.
+   *
+   * @param {Rectangle} rect - Rectangle to fit, in worldspace.
+   * @param {number} [padding=0] - Minimum space between the rectangle and the canvas edges, in screenspace.
+   * @param {Partial<FocusOptions>} [options] - Focus configuration options.
+   */
+  fitToBounds(rect, padding = 0, options = {}) {
+    const availableWidth = Math.max(this.canvas.width - 2 * padding, 1);
+    const availableHeight = Math.max(this.canvas.height - 2 * padding, 1);
+    const scale = Math.min(
+      availableWidth / rect.getWidth(),
+      availableHeight / rect.getHeight(),
+    );
+
+    this.setScale(scale, options);
+    this.centerOn(
+      rect.getX() + rect.getWidth() / 2,
+      rect.getY() + rect.getHeight() / 2,
+      options,
+    );
+  }
+
+  /**
+   * Scales the canvas so that one world unit spans exactly one screen pixel, around its center.
+   *
+   * @param {Partial<FocusOptions>} [options] - Focus configuration options.
+   */
+  actualSize(options = {}) {
+    this.setScale(1, options);
+  }
+
   /**
    * Returns user X-coordinate with positive axis extending right.
    *
@@ -1,14 +1,12 @@
 import CanvasControl from "/lib/canvas-control/canvas-control.js";
 import InputHandler from "/lib/canvas-control/handlers/base.js";
+import shortcutManager from "/lib/shortcut-manager.js";
 
 const WHEEL_BUTTON = 1;
-const SPACE_KEY = " ";
-const PLUS_KEY = "+";
-const MINUS_KEY = "-";
-const EQUAL_KEY = "=";
 
 export default class MouseKeyboardHandler extends InputHandler {
   canPan = false;
+  shortcutClient = shortcutManager.createClient();
 
   /**
    * @param {CanvasControl} control - CanvasControl object to handle mouse and keyboard inputs for.
@@ -18,7 +16,7 @@ export default class MouseKeyboardHandler extends InputHandler {
   }
 
   /**
-   * Initialises event listeners for mouse and keyboard inputs.
+   * Initialises event listeners for mouse inputs and shortcuts for keyboard inputs.
    */
   init() {
     this.canvas.addEventListener("mousedown", (event) => {
@@ -38,41 +36,48 @@ export default class MouseKeyboardHandler extends InputHandler {
       this.control.panTo(event.x, event.y);
     });
 
-    this.canvas.addEventListener("keypress", (event) => {
-      switch (event.key) {
-        case SPACE_KEY:
-          if (this.canPan) return;
-          this.canPan = true;
-          this.cursorClient.add("grab");
-          break;
-
-        case PLUS_KEY:
-          if (event.shiftKey) return;
-          this.control.zoomIn();
-          break;
-
-        case EQUAL_KEY:
-          this.control.zoomIn();
-          break;
-
-        case MINUS_KEY:
-          this.control.zoomOut();
-          break;
-      }
+    this.canvas.addEventListener("wheel", (event) => {
+      const direction = event.deltaY < 0 ? "in" : "out";
+      const options = { ease: false, x: event.x, y: event.y };
+      if (direction == "in") this.control.zoomIn(options);
+      if (direction == "out") this.control.zoomOut(options);
     });
 
-    this.canvas.addEventListener("keyup", (event) => {
-      if (event.key == SPACE_KEY) {
+    this.registerShortcuts();
+  }
+
+  registerShortcuts() {
+    this.shortcutClient.register({
+      id: "canvas.pan",
+      description: "Pan while dragging",
+      group: "View",
+      keys: ["Space"],
+      run: () => {
+        this.canPan = true;
+        this.cursorClient.add("grab");
+      },
+      release: () => {
         this.canPan = false;
         this.cursorClient.remove("grab");
-      }
+      },
     });
 
-    this.canvas.addEventListener("wheel", (event) => {
-      const direction = event.deltaY < 0 ? "in" : "out";
-      const options = { ease: false, x: event.x, y: event.y };
-      if (direction == "in") this.control.zoomIn(options);
-      if (direction == "out") this.control.zoomOut(options);
+    this.shortcutClient.register({
+      id: "canvas.zoomIn",
+      description: "Zoom in",
+      group: "View",
+      keys: ["+", "="],
+      repeat: true,
+      run: () => this.control.zoomIn(),
+    });
+
+    this.shortcutClient.register({
+      id: "canvas.zoomOut",
+      description: "Zoom out",
+      group: "View",
+      keys: ["-"],
+      repeat: true,
+      run: () => this.control.zoomOut(),
     });
   }
 }
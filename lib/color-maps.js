@@ -0,0 +1,143 @@
+import { cache } from "/lib/utils.js";
+
+/**
+ * @typedef {"grayscale" | "viridis" | "inferno"} ColorMap
+ */
+
+const HEX_PATTERN =
+  /^#?(?<r>[0-9A-Fa-f]{2})(?<g>[0-9A-Fa-f]{2})(?<b>[0-9A-Fa-f]{2})$/;
+
+const TABLE_SIZE = 256;
+
+/**
+ * Evenly spaced color stops of every color map, from lowest to highest value.
+ * Viridis and inferno are sampled from their matplotlib definitions.
+ *
+ * @type {Record<ColorMap, string[]>}
+ */
+const stops = {
+  grayscale: ["#000000", "#ffffff"],
+  viridis: [
+    "#440154",
+    "#482878",
+    "#3e4989",
+    "#31688e",
+    "#26828e",
+    "#1f9e89",
+    "#35b779",
+    "#6ece58",
+    "#b5de2b",
+    "#fde725",
+  ],
+  inferno: [
+    "#000004",
+    "#1b0c41",
+    "#4a0c6b",
+    "#781c6d",
+    "#a52c60",
+    "#cf4446",
+    "#ed6925",
+    "#fb9b06",
+    "#f7d13d",
+    "#fcffa4",
+  ],
+};
+
+/**
+ * Returns the list of available color map keys.
+ *
+ * @returns {ColorMap[]}
+ */
+export function getColorMaps() {
+  return /** @type {ColorMap[]} */ (Object.keys(stops));
+}
+
+/**
+ * Returns the RGB channels of a hexadecimal color.
+ *
+ * @param {string} hex - Color in hexadecimal.
+ * @returns {[number, number, number]}
+ * @throws {Error} Throws if the specified hex color is invalid.
+ */
+function parseHex(hex) {
+  const match = hex.match(HEX_PATTERN);
+  if (!match) {
+    throw new Error("Invalid hex color.");
+  }
+
+  const { r, g, b } = match.groups;
+  return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16)];
+}
+
+/**
+ * Returns the lookup table of a color map, interpolating linearly between its stops.
+ *
+ * @param {ColorMap} colorMap - Color map.
+ * @returns {Uint8Array} RGB channels of 256 evenly spaced colors, from lowest to highest value.
+ * @throws {Error} Throws if the color map does not exist.
+ */
+function uncached_getColorMapTable(colorMap) {
+  if (!(colorMap in stops)) {
+    throw new Error(`Invalid color map: ${colorMap}`);
+  }
+
+  const colors = stops[colorMap].map(parseHex);
+  const table = new Uint8Array(TABLE_SIZE * 3);
+
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    const position = (i / (TABLE_SIZE - 1)) * (colors.length - 1);
+    const index = Math.min(Math.floor(position), colors.length - 2);
+    const progress = position - index;
+
+    for (let channel = 0; channel < 3; channel++) {
+      const from = colors[index][channel];
+      const to = colors[index + 1][channel];
+      table[i * 3 + channel] = Math.round(from + (to - from) * progress);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Returns the lookup table of a color map. Cached.
+ *
+ * @param {ColorMap} colorMap - Color map.
+ * @returns {Uint8Array} RGB channels of 256 evenly spaced colors, from lowest to highest value.
+ * @throws {Error} Throws if the color map does not exist.
+ */
+export const getColorMapTable = cache(uncached_getColorMapTable);
+
+/**
+ * Maps every value of a row-major array to an opaque color, from the lowest color of the map
+ * at zero to the highest one at the maximum value.
+ *
+ * @param {Float32Array | Float64Array} values - Values to map, in row-major order.
+ * @param {number} width - Width of the array.
+ * @param {number} height - Height of the array.
+ * @param {ColorMap} colorMap - Color map.
+ * @returns {ImageData}
+ * @throws {Error} Throws if the color map does not exist.
+ */
+export function applyColorMap(values, width, height, colorMap) {
+  const table = getColorMapTable(colorMap);
+  const image = new ImageData(width, height);
+
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+
+  const scale = max > 0 ? (TABLE_SIZE - 1) / max : 0;
+  for (let i = 0; i < values.length; i++) {
+    const index = Math.max(Math.round(values[i] * scale), 0) * 3;
+    const offset = i << 2;
+
+    image.data[offset] = table[index];
+    image.data[offset + 1] = table[index + 1];
+    image.data[offset + 2] = table[index + 2];
+    image.data[offset + 3] = 255;
+  }
+
+  return image;
+}
@@ -2,7 +2,13 @@
  * List of cursor values, sorted from highest to lowest priority.
  * @type {string[]}
  */
-const cursorPriorityTable = ["grabbing", "grab", "pointer"];
+const cursorPriorityTable = [
+  "grabbing",
+  "grab",
+  "ew-resize",
+  "ns-resize",
+  "pointer",
+];
 
 const defaultCursor = "default";
 
@@ -0,0 +1,6 @@
+import EventChannel from "/lib/events/core.js";
+
+/** @type {EventChannel<boolean>} */
+const committingEvent = new EventChannel();
+
+export default committingEvent;
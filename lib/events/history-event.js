@@ -0,0 +1,8 @@
+import EventChannel from "/lib/events/core.js";
+
+/** @import { HistoryChange } from "/lib/store/store.js" */
+
+/** @type {EventChannel<HistoryChange>} */
+const historyEvent = new EventChannel();
+
+export default historyEvent;
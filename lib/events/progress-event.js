@@ -0,0 +1,8 @@
+import EventChannel from "/lib/events/core.js";
+
+/** @import { Progress } from "/lib/seam-carving/carver.js" */
+
+/** @type {EventChannel<Progress>} */
+const progressEvent = new EventChannel();
+
+export default progressEvent;
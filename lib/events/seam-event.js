@@ -0,0 +1,8 @@
+import EventChannel from "/lib/events/core.js";
+
+/** @import { SeamRemoval } from "/lib/seam-carving/carver.js" */
+
+/** @type {EventChannel<SeamRemoval>} */
+const seamEvent = new EventChannel();
+
+export default seamEvent;
@@ -0,0 +1,407 @@
+import committingEvent from "/lib/events/committing-event.js";
+import progressEvent from "/lib/events/progress-event.js";
+import seamEvent from "/lib/events/seam-event.js";
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { MASK_REMOVE, countMaskValue } from "/lib/seam-carving/mask.js";
+import { getObjectRemovalDirection } from "/lib/seam-carving/object-removal.js";
+import { runJob } from "/lib/seam-carving/worker-client.js";
+
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamIndex } from "/lib/seam-carving/seam-index.js" */
+/** @import { Job } from "/lib/seam-carving/worker-client.js" */
+
+/**
+ * @typedef {Object} Progress
+ * @property {Job["type"]} operation - Type of the running worker job.
+ * @property {number} step - Number of completed steps.
+ * @property {number} total - Total number of steps.
+ */
+
+/**
+ * @typedef {Object} SeamRemoval
+ * @property {Int32Array} seam - Removed seam. Holds the X-coordinate for every row if vertical,
+ * the Y-coordinate for every column if horizontal.
+ * @property {SeamDirection} direction - Direction of the removed seam.
+ * @property {ImageBitmap} bitmap - Bitmap of the image before the removal.
+ */
+
+/**
+ * @typedef {Object} CarveOptions
+ * @property {AbortSignal} signal - Signal that cancels the operation. Seams committed beforehand are kept.
+ */
+
+/**
+ * @typedef {Object} ObjectRemovalOptions
+ * @property {boolean} restore - Whether to insert seams back afterwards to restore the original size. Defaults to false.
+ */
+
+/** Minimum delay between two progress toasts of an operation, in milliseconds. */
+const PROGRESS_TOAST_INTERVAL = 2000;
+
+/** Whether an operation is committing images to history. */
+let committing = false;
+
+/**
+ * Returns whether an operation is committing images to history, each followed by a snapshot.
+ * Moving through history meanwhile would have the next snapshot discard every state after the current one.
+ *
+ * @returns {boolean}
+ */
+export function isCommitting() {
+  return committing;
+}
+
+/**
+ * Marks the start of an operation that commits images to history, and emits the change.
+ * Operations never overlap, so each must call stopCommitting() once it is done.
+ *
+ * @throws {Error} Throws if another operation is still committing.
+ */
+export function startCommitting() {
+  if (committing) {
+    throw new Error("Another operation is still running.");
+  }
+
+  committing = true;
+  committingEvent.emit(true);
+}
+
+/**
+ * Marks the end of the operation committing images to history, and emits the change.
+ */
+export function stopCommitting() {
+  committing = false;
+  committingEvent.emit(false);
+}
+
+/**
+ * Replaces the active image, its bitmap and its mask, then takes a history snapshot.
+ * Every image change should go through here or uploadImage() so that snapshots always hold a matching bitmap and mask.
+ *
+ * @param {ImageData} image - New active image.
+ * @param {Mask | null} [mask=null] - Mask of the new image. Defaults to null, which leaves every pixel neutral.
+ * @returns {Promise<void>} Promise that resolves once the snapshot has been taken.
+ */
+export async function commitImage(image, mask = null) {
+  const bitmap = await createImageBitmap(image);
+  store.set("bitmap", bitmap);
+  store.set("image", image);
+  store.set("mask", mask);
+  store.snapshot();
+}
+
+/**
+ * Replaces the active image with an uploaded one, then takes a history snapshot.
+ * The snapshots that follow share its bitmap as their original, see getHistoryStartIndex().
+ *
+ * @param {ImageData} image - Uploaded image.
+ * @returns {Promise<void>} Promise that resolves once the snapshot has been taken.
+ * @throws {Error} Throws if an operation is still committing images to history.
+ */
+export async function uploadImage(image) {
+  const bitmap = await createImageBitmap(image);
+  if (committing) {
+    throw new Error("Another operation is still running.");
+  }
+
+  store.set("original", bitmap);
+  store.set("bitmap", bitmap);
+  store.set("image", image);
+  store.set("mask", null);
+  store.snapshot();
+}
+
+/**
+ * Returns seam search options, defaulting the energy function, the energy mode and the mask to the active ones.
+ *
+ * @param {Partial<SeamOptions & CarveOptions>} options - Operation options.
+ * @returns {Partial<SeamOptions>}
+ */
+function getSearchOptions(options) {
+  const { signal, ...searchOptions } = options;
+  return {
+    energyFunction: store.get("energyFunction"),
+    energyMode: store.get("energyMode"),
+    mask: store.get("mask"),
+    ...searchOptions,
+  };
+}
+
+/**
+ * Runs a job in a worker, emitting its progress and committing every intermediate image in order.
+ * Every removed seam is emitted right before the image without it is committed.
+ *
+ * @param {Job} job - Job to run.
+ * @param {AbortSignal | undefined} signal - Signal that cancels the job.
+ * @param {(progress: Progress) => void} [onProgress] - Function to call on every progress message. Optional.
+ * @returns {Promise<any>} Promise that resolves to the result of the job once every image is committed.
+ * @throws {Error} Rejects if another operation is still committing.
+ */
+async function runCommittingJob(job, signal, onProgress = () => {}) {
+  startCommitting();
+  let commits = Promise.resolve();
+
+  try {
+    return await runJob(job, {
+      signal,
+      onProgress: ({ step, total, image, mask, seam, direction }) => {
+        progressEvent.emit({ operation: job.type, step, total });
+        onProgress({ operation: job.type, step, total });
+        if (!image) return;
+
+        commits = commits.then(() => {
+          if (seam) {
+            const bitmap = store.get("bitmap");
+            seamEvent.emit({ seam, direction, bitmap });
+          }
+
+          return commitImage(image, mask);
+        });
+      },
+    });
+  } finally {
+    await commits;
+    stopCommitting();
+  }
+}
+
+/**
+ * Removes seams from the active image in the specified order, taking a history snapshot after each removal.
+ * The order is published under the "seamOrder" state property beforehand.
+ *
+ * @param {SeamDirection[]} order - Direction of every seam to remove, from first to last.
+ * @param {Partial<SeamOptions & CarveOptions>} options - Operation options.
+ * @returns {Promise<void>} Promise that resolves once every seam has been removed.
+ */
+async function carveInOrder(order, options) {
+  const image = store.get("image");
+  store.set("seamOrder", order);
+
+  /** @type {Job} */
+  const job = {
+    type: "carve",
+    image,
+    order,
+    options: getSearchOptions(options),
+  };
+  await runCommittingJob(job, options.signal);
+}
+
+/**
+ * Removes seams from the active image one at a time, taking a history snapshot after each removal.
+ *
+ * @param {SeamDirection} direction - Direction of the seams to remove.
+ * @param {number} count - Number of seams to remove.
+ * @param {Partial<SeamOptions & CarveOptions>} [options] - Operation options. Energy mode defaults to the active one.
+ * @returns {Promise<void>} Promise that resolves once every seam has been removed.
+ * @throws {Error} Throws if there is no active image.
+ * @throws {Error} Throws if the image is too small to remove that many seams.
+ */
+export async function carve(direction, count, options = {}) {
+  const image = store.get("image");
+  if (!image) {
+    throw new Error("No active image to carve.");
+  }
+
+  const size = direction == "vertical" ? image.width : image.height;
+  if (count >= size) {
+    throw new Error(`Cannot remove ${count} seams from ${size} pixels.`);
+  }
+
+  /** @type {SeamDirection[]} */
+  const order = new Array(count).fill(direction);
+  await carveInOrder(order, options);
+}
+
+/**
+ * Inserts seams into the active image, taking a history snapshot after each insertion.
+ * Seams are all found on the image as it is before enlarging, so that the same seam is never duplicated twice.
+ *
+ * @param {SeamDirection} direction - Direction of the seams to insert.
+ * @param {number} count - Number of seams to insert.
+ * @param {Partial<SeamOptions & CarveOptions>} [options] - Operation options. Energy mode defaults to the active one.
+ * @returns {Promise<void>} Promise that resolves once every seam has been inserted.
+ * @throws {Error} Throws if there is no active image.
+ * @throws {Error} Throws if the image is too small to insert that many seams.
+ */
+export async function enlarge(direction, count, options = {}) {
+  const image = store.get("image");
+  if (!image) {
+    throw new Error("No active image to enlarge.");
+  }
+
+  /** @type {Job} */
+  const job = {
+    type: "enlarge",
+    image,
+    direction,
+    count,
+    options: getSearchOptions(options),
+  };
+  await runCommittingJob(job, options.signal);
+}
+
+/**
+ * Retargets the active image to the specified size, removing or inserting seams in each direction.
+ * When both dimensions shrink, removals follow the optimal order given by the transport map.
+ *
+ * @param {number} width - Target width.
+ * @param {number} height - Target height.
+ * @param {Partial<SeamOptions & CarveOptions>} [options] - Operation options. Energy mode defaults to the active one.
+ * @returns {Promise<void>} Promise that resolves once the image has reached the target size.
+ * @throws {Error} Throws if there is no active image.
+ * @throws {Error} Throws if the target size is not positive.
+ */
+export async function retarget(width, height, options = {}) {
+  const image = store.get("image");
+  if (!image) {
+    throw new Error("No active image to retarget.");
+  }
+
+  if (width < 1 || height < 1) {
+    throw new Error(`Invalid target size: ${width}x${height}`);
+  }
+
+  const columns = image.width - width;
+  const rows = image.height - height;
+
+  if (columns > 0 && rows > 0) {
+    /** @type {Job} */
+    const job = {
+      type: "transport-map",
+      image,
+      rows,
+      columns,
+      options: getSearchOptions(options),
+    };
+    const { order } = await runCommittingJob(job, options.signal);
+    await carveInOrder(order, options);
+    return;
+  }
+
+  if (columns > 0) await carve("vertical", columns, options);
+  if (columns < 0) await enlarge("vertical", -columns, options);
+  if (rows > 0) await carve("horizontal", rows, options);
+  if (rows < 0) await enlarge("horizontal", -rows, options);
+}
+
+/**
+ * Builds the multi-size index of the active image and publishes it under the "seamIndex" state property.
+ * Any width within the indexed range can then be rendered instantly, see renderSeamIndex().
+ *
+ * @param {number} [count] - Number of vertical seams to index. Defaults to half the image width.
+ * @param {Partial<SeamOptions & CarveOptions>} [options] - Operation options. Energy mode defaults to the active one.
+ * @returns {Promise<SeamIndex>} Promise that resolves to the index once it is published.
+ * @throws {Error} Throws if there is no active image.
+ * @throws {Error} Throws if the image is too small to index that many seams.
+ */
+export async function indexSeams(count = null, options = {}) {
+  const image = store.get("image");
+  if (!image) {
+    throw new Error("No active image to index.");
+  }
+
+  count ??= Math.floor(image.width / 2);
+
+  /** @type {Job} */
+  const job = {
+    type: "seam-index",
+    image,
+    count,
+    options: getSearchOptions(options),
+  };
+  const { order } = await runCommittingJob(job, options.signal);
+
+  /** @type {SeamIndex} */
+  const seamIndex = { image, count, order };
+  store.set("seamIndex", seamIndex);
+  return seamIndex;
+}
+
+/**
+ * Removes every pixel marked for removal in the active mask by carving seams in the direction
+ * that crosses the fewest of them, taking a history snapshot after each removal.
+ * Reports its progress through toasts, at most one every PROGRESS_TOAST_INTERVAL milliseconds.
+ *
+ * @param {Partial<SeamOptions & CarveOptions & ObjectRemovalOptions>} [options] - Operation options. Energy mode defaults to the active one.
+ * @returns {Promise<void>} Promise that resolves once the marked pixels are gone, and the size restored if requested.
+ * @throws {Error} Throws if there is no active image.
+ * @throws {Error} Throws if no pixel is marked for removal.
+ * @throws {Error} Throws if protected pixels prevent the removal of the marked ones.
+ */
+export async function removeObject(options = {}) {
+  const { restore = false, ...carveOptions } = options;
+  const image = store.get("image");
+  if (!image) {
+    throw new Error("No active image to remove an object from.");
+  }
+
+  const mask = store.get("mask");
+  if (!mask || countMaskValue(mask, MASK_REMOVE) == 0) {
+    toastEvent.emit({
+      status: "warning",
+      message: "Paint over the object to remove first.",
+    });
+    throw new Error("No pixel is marked for removal.");
+  }
+
+  const { width, height } = image;
+  const direction = getObjectRemovalDirection(mask, width, height);
+  toastEvent.emit({
+    status: "success",
+    message: `Removing the object with ${direction} seams...`,
+  });
+
+  try {
+    /** @type {Job} */
+    const job = {
+      type: "remove-object",
+      image,
+      direction,
+      options: getSearchOptions(carveOptions),
+    };
+
+    // Every progress message of the job follows the removal of one seam
+    let removed = 0;
+    let toastedAt = performance.now();
+    const { count } = await runCommittingJob(
+      job,
+      options.signal,
+      ({ step, total }) => {
+        removed++;
+        const now = performance.now();
+        if (step == total || now - toastedAt < PROGRESS_TOAST_INTERVAL) return;
+
+        toastedAt = now;
+        toastEvent.emit({
+          status: "success",
+          message: `Removed ${removed} ${direction} seams, ${total - step} marked pixels left...`,
+        });
+      },
+    );
+
+    toastEvent.emit({
+      status: "success",
+      message: `Removed the object with ${count} ${direction} seams.`,
+    });
+
+    if (!restore) return;
+    await enlarge(direction, count, carveOptions);
+
+    toastEvent.emit({
+      status: "success",
+      message: `Restored the original size of ${width}x${height}.`,
+    });
+  } catch (error) {
+    toastEvent.emit({
+      status: options.signal?.aborted ? "warning" : "error",
+      message: options.signal?.aborted
+        ? "Object removal was cancelled."
+        : `Object removal failed: ${error.message}`,
+    });
+    throw error;
+  }
+}
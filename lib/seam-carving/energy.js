@@ -0,0 +1,354 @@
+import { MASK_PROTECT, MASK_REMOVE } from "/lib/seam-carving/mask.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+
+/**
+ * @typedef {"gradient" | "sobel" | "scharr" | "laplacian" | "entropy"} EnergyFunction
+ */
+
+/**
+ * Energy map or cumulative energy matrix. Masked ones are held in double precision, see createEnergyMap().
+ *
+ * @typedef {Float32Array | Float64Array} EnergyMap
+ */
+
+/**
+ * @callback EnergyKernel
+ * @param {Float32Array} gray - Grayscale intensities of the image.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @param {number} x - X-coordinate of the pixel.
+ * @param {number} y - Y-coordinate of the pixel.
+ * @returns {number} Energy of the pixel.
+ */
+
+// Far beyond the energy of any whole seam, yet finite so that seams can still be compared
+const PROTECTED_ENERGY = 1e8;
+const REMOVED_ENERGY = -1e8;
+
+const ENTROPY_RADIUS = 4;
+const ENTROPY_BINS = 16;
+
+/** @type {Uint16Array} Scratch histogram reused across entropy computations. */
+const histogram = new Uint16Array(ENTROPY_BINS);
+
+/**
+ * Converts an image to grayscale intensities between 0 and 255.
+ *
+ * @param {ImageData} image - Image to convert.
+ * @returns {Float32Array} Grayscale intensity of every pixel, in row-major order.
+ */
+export function toGrayscale(image) {
+  const { data, width, height } = image;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i << 2;
+    gray[i] =
+      0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+
+  return gray;
+}
+
+/**
+ * Returns the intensity at the specified coordinates, clamping them to the image edges.
+ *
+ * @param {Float32Array} gray - Grayscale intensities of the image.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @param {number} x - X-coordinate of the pixel.
+ * @param {number} y - Y-coordinate of the pixel.
+ * @returns {number}
+ */
+function sample(gray, width, height, x, y) {
+  if (x < 0) x = 0;
+  else if (x >= width) x = width - 1;
+  if (y < 0) y = 0;
+  else if (y >= height) y = height - 1;
+
+  return gray[y * width + x];
+}
+
+/**
+ * Returns the magnitude of the response of a 3x3 derivative filter pair
+ * with the specified center and corner weights.
+ *
+ * @param {Float32Array} gray - Grayscale intensities of the image.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @param {number} x - X-coordinate of the pixel.
+ * @param {number} y - Y-coordinate of the pixel.
+ * @param {number} edge - Weight of the corner taps.
+ * @param {number} center - Weight of the center taps.
+ * @returns {number}
+ */
+function derivativeMagnitude(gray, width, height, x, y, edge, center) {
+  const topLeft = sample(gray, width, height, x - 1, y - 1);
+  const top = sample(gray, width, height, x, y - 1);
+  const topRight = sample(gray, width, height, x + 1, y - 1);
+  const left = sample(gray, width, height, x - 1, y);
+  const right = sample(gray, width, height, x + 1, y);
+  const bottomLeft = sample(gray, width, height, x - 1, y + 1);
+  const bottom = sample(gray, width, height, x, y + 1);
+  const bottomRight = sample(gray, width, height, x + 1, y + 1);
+
+  const dx =
+    edge * (topRight - topLeft) +
+    center * (right - left) +
+    edge * (bottomRight - bottomLeft);
+  const dy =
+    edge * (bottomLeft - topLeft) +
+    center * (bottom - top) +
+    edge * (bottomRight - topRight);
+
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/** @type {EnergyKernel} */
+function gradientKernel(gray, width, height, x, y) {
+  const dx =
+    sample(gray, width, height, x + 1, y) - sample(gray, width, height, x - 1, y);
+  const dy =
+    sample(gray, width, height, x, y + 1) - sample(gray, width, height, x, y - 1);
+
+  return Math.sqrt(dx * dx + dy * dy) / 2;
+}
+
+/** @type {EnergyKernel} */
+function sobelKernel(gray, width, height, x, y) {
+  return derivativeMagnitude(gray, width, height, x, y, 1, 2);
+}
+
+/** @type {EnergyKernel} */
+function scharrKernel(gray, width, height, x, y) {
+  return derivativeMagnitude(gray, width, height, x, y, 3, 10);
+}
+
+/** @type {EnergyKernel} */
+function laplacianKernel(gray, width, height, x, y) {
+  const laplacian =
+    sample(gray, width, height, x, y - 1) +
+    sample(gray, width, height, x - 1, y) +
+    sample(gray, width, height, x + 1, y) +
+    sample(gray, width, height, x, y + 1) -
+    4 * gray[y * width + x];
+
+  return Math.abs(laplacian);
+}
+
+/** @type {EnergyKernel} */
+function entropyKernel(gray, width, height, x, y) {
+  histogram.fill(0);
+
+  for (let dy = -ENTROPY_RADIUS; dy <= ENTROPY_RADIUS; dy++) {
+    for (let dx = -ENTROPY_RADIUS; dx <= ENTROPY_RADIUS; dx++) {
+      const intensity = sample(gray, width, height, x + dx, y + dy);
+      const bin = Math.min((intensity * ENTROPY_BINS) >> 8, ENTROPY_BINS - 1);
+      histogram[bin]++;
+    }
+  }
+
+  const total = (2 * ENTROPY_RADIUS + 1) ** 2;
+  let entropy = 0;
+  for (let i = 0; i < ENTROPY_BINS; i++) {
+    if (histogram[i] == 0) continue;
+
+    const probability = histogram[i] / total;
+    entropy -= probability * Math.log2(probability);
+  }
+
+  return entropy;
+}
+
+/** @type {Record<EnergyFunction, EnergyKernel>} */
+const kernels = {
+  gradient: gradientKernel,
+  sobel: sobelKernel,
+  scharr: scharrKernel,
+  laplacian: laplacianKernel,
+  entropy: entropyKernel,
+};
+
+/**
+ * Radius of the neighbourhood each energy kernel reads around a pixel.
+ *
+ * @type {Record<EnergyFunction, number>}
+ */
+const radii = {
+  gradient: 1,
+  sobel: 1,
+  scharr: 1,
+  laplacian: 1,
+  entropy: ENTROPY_RADIUS,
+};
+
+/**
+ * Returns the kernel that computes the energy of a single pixel for the specified energy function.
+ *
+ * @param {EnergyFunction} type - Energy function.
+ * @returns {EnergyKernel}
+ * @throws {Error} Throws if the energy function does not exist.
+ */
+export function getEnergyKernel(type) {
+  if (!(type in kernels)) {
+    throw new Error(`Invalid energy function: ${type}`);
+  }
+
+  return kernels[type];
+}
+
+/**
+ * Returns the radius of the neighbourhood read by the specified energy function.
+ * The energy of a pixel only changes when a pixel within this radius changes.
+ *
+ * @param {EnergyFunction} type - Energy function.
+ * @returns {number}
+ * @throws {Error} Throws if the energy function does not exist.
+ */
+export function getEnergyRadius(type) {
+  if (!(type in radii)) {
+    throw new Error(`Invalid energy function: ${type}`);
+  }
+
+  return radii[type];
+}
+
+/**
+ * Returns the list of available energy function keys.
+ *
+ * @returns {EnergyFunction[]}
+ */
+export function getEnergyFunctions() {
+  return /** @type {EnergyFunction[]} */ (Object.keys(kernels));
+}
+
+/**
+ * Returns the energy added to a pixel by its mask value. Protected pixels get effectively
+ * infinite energy, pixels marked for removal strongly negative energy.
+ *
+ * @param {number} value - Mask value of the pixel.
+ * @returns {number}
+ */
+export function getMaskBias(value) {
+  if (value == MASK_PROTECT) return PROTECTED_ENERGY;
+  if (value == MASK_REMOVE) return REMOVED_ENERGY;
+  return 0;
+}
+
+/**
+ * Creates an empty energy map or cumulative energy matrix. Maps biased by a mask are held in
+ * double precision, since single precision cannot tell apart energies added to the mask bias.
+ *
+ * @param {number} length - Number of pixels.
+ * @param {Mask | null} mask - Mask biasing the map, if any.
+ * @returns {EnergyMap}
+ */
+export function createEnergyMap(length, mask) {
+  return mask ? new Float64Array(length) : new Float32Array(length);
+}
+
+/**
+ * Returns a copy of an energy map biased with a mask, in double precision.
+ *
+ * @param {EnergyMap} energy - Energy map to bias, in row-major order.
+ * @param {Mask} mask - Mask of the same size as the energy map.
+ * @returns {Float64Array} Biased energy map.
+ */
+export function applyMask(energy, mask) {
+  const biased = new Float64Array(energy.length);
+  for (let i = 0; i < energy.length; i++) {
+    biased[i] = energy[i] + getMaskBias(mask[i]);
+  }
+
+  return biased;
+}
+
+/**
+ * Applies an energy kernel to every pixel of an image.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @param {EnergyKernel} kernel - Kernel to apply.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+function applyKernel(image, kernel) {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const energy = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      energy[y * width + x] = kernel(gray, width, height, x, y);
+    }
+  }
+
+  return energy;
+}
+
+/**
+ * Computes the energy map of an image from central-difference gradient magnitudes.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+export function gradientMagnitude(image) {
+  return applyKernel(image, gradientKernel);
+}
+
+/**
+ * Computes the energy map of an image from Sobel operator responses.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+export function sobel(image) {
+  return applyKernel(image, sobelKernel);
+}
+
+/**
+ * Computes the energy map of an image from Scharr operator responses.
+ * More rotationally symmetric than Sobel.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+export function scharr(image) {
+  return applyKernel(image, scharrKernel);
+}
+
+/**
+ * Computes the energy map of an image from absolute Laplacian responses.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+export function laplacian(image) {
+  return applyKernel(image, laplacianKernel);
+}
+
+/**
+ * Computes the energy map of an image from the Shannon entropy of a 9x9 neighbourhood
+ * around every pixel, in bits.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @returns {Float32Array} Energy of every pixel, in row-major order.
+ */
+export function localEntropy(image) {
+  return applyKernel(image, entropyKernel);
+}
+
+/**
+ * Computes the energy map of an image with the specified energy function.
+ *
+ * Pixels are biased by their mask value if a mask is specified.
+ *
+ * @param {ImageData} image - Image to compute the energy of.
+ * @param {EnergyFunction} [type="gradient"] - Energy function to use.
+ * @param {Mask | null} [mask=null] - Mask of the image. Optional.
+ * @returns {EnergyMap} Energy of every pixel, in row-major order.
+ * @throws {Error} Throws if the energy function does not exist.
+ */
+export function computeEnergy(image, type = "gradient", mask = null) {
+  const energy = applyKernel(image, getEnergyKernel(type));
+  return mask ? applyMask(energy, mask) : energy;
+}
@@ -0,0 +1,304 @@
+import {
+  createEnergyMap,
+  getEnergyKernel,
+  getEnergyRadius,
+  getMaskBias,
+  toGrayscale,
+} from "/lib/seam-carving/energy.js";
+import {
+  fillCumulativeRow,
+  fillForwardCumulativeRow,
+  traceVerticalSeam,
+} from "/lib/seam-carving/seam-finder.js";
+
+/** @import { EnergyKernel, EnergyMap } from "/lib/seam-carving/energy.js" */
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * Returns a copy of a row-major pixel array without the specified vertical seam.
+ *
+ * @template {Float32Array | Float64Array | Int8Array | Int32Array | Uint8Array | Uint32Array} T
+ * @param {T} array - Pixel array to carve.
+ * @param {number} width - Width of the array.
+ * @param {number} height - Height of the array.
+ * @param {Int32Array} seam - X-coordinate of the seam for every row.
+ * @returns {T} Pixel array one pixel narrower.
+ */
+export function removeFromRows(array, width, height, seam) {
+  const ArrayConstructor = /** @type {any} */ (array.constructor);
+  /** @type {T} */
+  const carved = new ArrayConstructor((width - 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * width;
+    const targetRow = y * (width - 1);
+    const x = seam[y];
+
+    carved.set(array.subarray(sourceRow, sourceRow + x), targetRow);
+    carved.set(
+      array.subarray(sourceRow + x + 1, sourceRow + width),
+      targetRow + x,
+    );
+  }
+
+  return carved;
+}
+
+/**
+ * Removes vertical seams one after the other while keeping the energy map and the
+ * cumulative energy matrix up to date. After each removal, energy is only recomputed in
+ * the band next to the removed seam, and the cumulative matrix only inside the cone
+ * below the pixels whose value actually changed.
+ */
+export default class IncrementalCarver {
+  width;
+  height;
+
+  /** @type {Uint32Array} Packed RGBA pixels of the image. */
+  pixels;
+
+  /** @type {Float32Array} */
+  gray;
+
+  /** @type {EnergyMap} */
+  energy;
+
+  /** @type {EnergyMap} */
+  cumulative;
+
+  /** @type {Int8Array} */
+  backpointers;
+
+  /** @type {Mask | null} */
+  mask;
+
+  energyMode;
+
+  /** @type {EnergyKernel} */
+  kernel;
+
+  /** @type {number} */
+  radius;
+
+  /**
+   * Creates an incremental carver for a copy of the specified image.
+   *
+   * @param {ImageData} image - Image to carve.
+   * @param {Partial<SeamOptions>} [options] - Seam search options.
+   */
+  constructor(image, options = {}) {
+    const {
+      energyFunction = "gradient",
+      energyMode = "backward",
+      mask = null,
+    } = options;
+
+    this.width = image.width;
+    this.height = image.height;
+    this.pixels = new Uint32Array(new Uint8ClampedArray(image.data).buffer);
+    this.gray = toGrayscale(image);
+    this.mask = mask ? mask.slice() : null;
+    this.energyMode = energyMode;
+
+    // Forward costs only read the direct neighbours of a pixel
+    this.kernel = getEnergyKernel(energyFunction);
+    this.radius = energyMode == "forward" ? 1 : getEnergyRadius(energyFunction);
+
+    this.computeAll();
+  }
+
+  /**
+   * Computes the energy map and cumulative energy matrix from scratch.
+   */
+  computeAll() {
+    const { width, height } = this;
+    this.energy = createEnergyMap(width * height, this.mask);
+    this.cumulative = createEnergyMap(width * height, this.mask);
+    this.backpointers = new Int8Array(width * height);
+
+    if (this.energyMode == "backward") {
+      for (let y = 0; y < height; y++) {
+        this.updateEnergy(y, 0, width - 1);
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      this.fillRow(y, 0, width - 1);
+    }
+  }
+
+  /**
+   * Recomputes the energy of a span of one row.
+   *
+   * @param {number} y - Y-coordinate of the row.
+   * @param {number} from - X-coordinate of the first pixel of the span.
+   * @param {number} to - X-coordinate of the last pixel of the span, inclusive.
+   */
+  updateEnergy(y, from, to) {
+    const { gray, mask, width, height } = this;
+    for (let x = from; x <= to; x++) {
+      const index = y * width + x;
+      const bias = mask ? getMaskBias(mask[index]) : 0;
+      this.energy[index] = this.kernel(gray, width, height, x, y) + bias;
+    }
+  }
+
+  /**
+   * Fills a span of one row of the cumulative energy matrix.
+   *
+   * @param {number} y - Y-coordinate of the row.
+   * @param {number} from - X-coordinate of the first pixel of the span.
+   * @param {number} to - X-coordinate of the last pixel of the span, inclusive.
+   */
+  fillRow(y, from, to) {
+    const { gray, energy, cumulative, backpointers, mask, width } = this;
+
+    if (this.energyMode == "forward") {
+      fillForwardCumulativeRow(
+        gray,
+        energy,
+        cumulative,
+        backpointers,
+        width,
+        y,
+        from,
+        to,
+        mask,
+      );
+    } else {
+      fillCumulativeRow(energy, cumulative, backpointers, width, y, from, to);
+    }
+  }
+
+  /**
+   * Returns the minimal vertical seam of the current image.
+   *
+   * @returns {Int32Array} X-coordinate of the seam for every row.
+   */
+  findSeam() {
+    const { cumulative, backpointers, width, height } = this;
+    return traceVerticalSeam(cumulative, backpointers, width, height);
+  }
+
+  /**
+   * Removes a vertical seam and updates the energy map and cumulative energy matrix.
+   *
+   * @param {Int32Array} seam - X-coordinate of the seam for every row.
+   * @throws {Error} Throws if the image is only one pixel wide.
+   */
+  removeSeam(seam) {
+    const { width, height } = this;
+    if (width <= 1) {
+      throw new Error("Cannot remove a seam from a single column.");
+    }
+
+    this.pixels = removeFromRows(this.pixels, width, height, seam);
+    this.gray = removeFromRows(this.gray, width, height, seam);
+    this.energy = removeFromRows(this.energy, width, height, seam);
+    this.cumulative = removeFromRows(this.cumulative, width, height, seam);
+    this.backpointers = removeFromRows(this.backpointers, width, height, seam);
+    if (this.mask) this.mask = removeFromRows(this.mask, width, height, seam);
+    this.width--;
+
+    this.updateBand(seam);
+    this.updateCone(seam);
+  }
+
+  /**
+   * Returns the span of a row whose neighbourhood changed with the removal of a seam.
+   * Pixels further left or right than the seam in every row of their neighbourhood
+   * see the same neighbours as before.
+   *
+   * @param {Int32Array} seam - Removed seam.
+   * @param {number} y - Y-coordinate of the row.
+   * @returns {[number, number]} First and last X-coordinate of the span, inclusive.
+   */
+  getBand(seam, y) {
+    const { radius, width, height } = this;
+
+    let minimum = seam[y];
+    let maximum = seam[y];
+    const top = Math.max(y - radius, 0);
+    const bottom = Math.min(y + radius, height - 1);
+    for (let i = top; i <= bottom; i++) {
+      minimum = Math.min(minimum, seam[i]);
+      maximum = Math.max(maximum, seam[i]);
+    }
+
+    const from = Math.max(minimum - radius, 0);
+    const to = Math.min(maximum + radius - 1, width - 1);
+    return [from, to];
+  }
+
+  /**
+   * Recomputes the energy in the band next to a removed seam.
+   *
+   * @param {Int32Array} seam - Removed seam.
+   */
+  updateBand(seam) {
+    if (this.energyMode == "forward") return;
+
+    for (let y = 0; y < this.height; y++) {
+      const [from, to] = this.getBand(seam, y);
+      this.updateEnergy(y, from, to);
+    }
+  }
+
+  /**
+   * Recomputes the cumulative energy matrix inside the cone spreading down from the band
+   * next to a removed seam. The cone narrows back to the band wherever a row's values come out unchanged.
+   *
+   * @param {Int32Array} seam - Removed seam.
+   */
+  updateCone(seam) {
+    const { cumulative, backpointers, width, height } = this;
+    const previousCumulative = new Float64Array(width);
+    const previousBackpointers = new Int8Array(width);
+
+    let changedFrom = Infinity;
+    let changedTo = -Infinity;
+
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      const [bandFrom, bandTo] = this.getBand(seam, y);
+      const from = Math.max(Math.min(bandFrom, changedFrom - 1), 0);
+      const to = Math.min(Math.max(bandTo, changedTo + 1), width - 1);
+
+      previousCumulative.set(cumulative.subarray(row + from, row + to + 1));
+      previousBackpointers.set(backpointers.subarray(row + from, row + to + 1));
+      this.fillRow(y, from, to);
+
+      changedFrom = Infinity;
+      changedTo = -Infinity;
+      for (let x = from; x <= to; x++) {
+        const hasChanged =
+          cumulative[row + x] != previousCumulative[x - from] ||
+          backpointers[row + x] != previousBackpointers[x - from];
+        if (!hasChanged) continue;
+
+        changedFrom = Math.min(changedFrom, x);
+        changedTo = x;
+      }
+    }
+  }
+
+  /**
+   * Returns a copy of the current image.
+   *
+   * @returns {ImageData}
+   */
+  getImage() {
+    const data = new Uint8ClampedArray(this.pixels.slice().buffer);
+    return new ImageData(data, this.width, this.height);
+  }
+
+  /**
+   * Returns a copy of the current mask, or null if the carver has none.
+   *
+   * @returns {Mask | null}
+   */
+  getMask() {
+    return this.mask ? this.mask.slice() : null;
+  }
+}
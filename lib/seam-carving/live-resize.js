@@ -0,0 +1,299 @@
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { clamp } from "/lib/utils.js";
+import { runJob } from "/lib/seam-carving/worker-client.js";
+import { startCommitting, stopCommitting } from "/lib/seam-carving/carver.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+/** @import { Job } from "/lib/seam-carving/worker-client.js" */
+
+/**
+ * @typedef {Object} ResizeEntry
+ * @property {ImageData} image - Image at this size.
+ * @property {Mask | null} mask - Mask of the image.
+ * @property {ImageBitmap} bitmap - Bitmap of the image.
+ */
+
+/**
+ * Resizes the active image along one direction towards a target size that keeps changing, as during a drag.
+ * Seams are removed from the smallest image reached so far and inserted into the image the resize started from.
+ * Every size reached is kept, so that coming back to it is instant.
+ *
+ * Intermediate images replace the active one without taking any history snapshot, finish() takes a single one.
+ * The resize counts as committing images to history until then, see isCommitting().
+ */
+export default class LiveResize {
+  /** @type {SeamDirection} */
+  direction;
+
+  /** Size of the image along the direction when the resize started. */
+  startSize;
+
+  /** Size the image is resized to. */
+  target;
+
+  /**
+   * Images reached so far, by size along the direction. Always holds a contiguous range of sizes.
+   *
+   * @type {Map<number, ResizeEntry>}
+   */
+  entries = new Map();
+
+  minSize;
+  maxSize;
+
+  /** @type {Promise<void> | null} */
+  running = null;
+
+  /** @type {AbortController | null} */
+  controller = null;
+
+  /** @type {"carve" | "enlarge" | null} */
+  operation = null;
+
+  /** Whether a job failed, in which case the resize stops at the closest size reached. */
+  failed = false;
+
+  /**
+   * Starts resizing the active image along the specified direction.
+   *
+   * @param {SeamDirection} direction - Direction of the seams to remove or insert.
+   * @throws {Error} Throws if there is no active image.
+   * @throws {Error} Throws if another operation is still committing.
+   */
+  constructor(direction) {
+    const image = store.get("image");
+    if (!image) {
+      throw new Error("No active image to resize.");
+    }
+
+    startCommitting();
+
+    this.direction = direction;
+    this.startSize = this.getSize(image);
+    this.target = this.startSize;
+    this.minSize = this.startSize;
+    this.maxSize = this.startSize;
+    this.entries.set(this.startSize, {
+      image,
+      mask: store.get("mask"),
+      bitmap: store.get("bitmap"),
+    });
+  }
+
+  /**
+   * Returns the size of an image along the direction of the resize.
+   *
+   * @param {ImageData} image - Image to measure.
+   * @returns {number}
+   */
+  getSize(image) {
+    return this.direction == "vertical" ? image.width : image.height;
+  }
+
+  /**
+   * Returns the largest size the image can be resized to. Each seam is inserted at most once,
+   * so the image can grow by fewer pixels than it had when the resize started.
+   *
+   * @returns {number}
+   */
+  getMaxTarget() {
+    return 2 * this.startSize - 1;
+  }
+
+  /**
+   * Returns the size the image is resized to.
+   *
+   * @returns {number}
+   */
+  getTarget() {
+    return this.target;
+  }
+
+  /**
+   * Sets the size to resize the image to, clamped to the possible range. The closest size reached so far
+   * is shown at once, and seams are removed or inserted in the background until the target is reached.
+   *
+   * @param {number} size - Target size along the direction of the resize.
+   */
+  setTarget(size) {
+    this.target = clamp(Math.round(size), 1, this.getMaxTarget());
+    this.show();
+
+    // Once the target is back within the reached sizes, the running job has nothing left to offer
+    const isCarvingWasted =
+      this.operation == "carve" && this.target >= this.minSize;
+    const isEnlargingWasted =
+      this.operation == "enlarge" && this.target <= this.maxSize;
+    if (isCarvingWasted || isEnlargingWasted) {
+      this.controller.abort();
+    }
+
+    this.running ??= this.run().finally(() => {
+      this.running = null;
+    });
+  }
+
+  /**
+   * Waits for the target to be reached, then takes a history snapshot if the size changed.
+   * Other operations can commit images to history again afterwards.
+   *
+   * @returns {Promise<void>} Promise that resolves once the snapshot is taken.
+   */
+  async finish() {
+    try {
+      while (this.running) {
+        await this.running;
+      }
+
+      this.show();
+      if (store.get("image") == this.entries.get(this.startSize).image) return;
+      store.snapshot();
+    } finally {
+      stopCommitting();
+    }
+  }
+
+  /**
+   * Replaces the active image with the reached image closest to the target.
+   */
+  show() {
+    const size = clamp(this.target, this.minSize, this.maxSize);
+    const { image, mask, bitmap } = this.entries.get(size);
+    store.set("bitmap", bitmap);
+    store.set("image", image);
+    store.set("mask", mask);
+  }
+
+  /**
+   * Runs jobs one after the other until the target is reached or a job fails.
+   *
+   * @returns {Promise<void>}
+   */
+  async run() {
+    while (
+      !this.failed &&
+      (this.target < this.minSize || this.target > this.maxSize)
+    ) {
+      this.controller = new AbortController();
+      const { signal } = this.controller;
+
+      try {
+        if (this.target < this.minSize) await this.carve(signal);
+        else await this.enlarge(signal);
+      } catch (error) {
+        if (signal.aborted) continue;
+
+        this.failed = true;
+        toastEvent.emit({
+          status: "error",
+          message: `Resizing failed: ${error.message}`,
+        });
+      } finally {
+        this.controller = null;
+        this.operation = null;
+      }
+    }
+  }
+
+  /**
+   * Removes seams from the smallest image reached so far, down to the target.
+   *
+   * @param {AbortSignal} signal - Signal that cancels the job.
+   * @returns {Promise<void>}
+   */
+  async carve(signal) {
+    const { image, mask } = this.entries.get(this.minSize);
+    const count = this.minSize - this.target;
+    this.operation = "carve";
+
+    await this.runAddingJob(
+      {
+        type: "carve",
+        image,
+        order: new Array(count).fill(this.direction),
+        options: this.getSearchOptions(mask),
+      },
+      signal,
+    );
+  }
+
+  /**
+   * Inserts seams into the image the resize started from, up to the target.
+   * Sizes reached by a previous insertion are replaced along the way.
+   *
+   * @param {AbortSignal} signal - Signal that cancels the job.
+   * @returns {Promise<void>}
+   */
+  async enlarge(signal) {
+    const { image, mask } = this.entries.get(this.startSize);
+    const count = this.target - this.startSize;
+    this.operation = "enlarge";
+
+    await this.runAddingJob(
+      {
+        type: "enlarge",
+        image,
+        direction: this.direction,
+        count,
+        options: this.getSearchOptions(mask),
+      },
+      signal,
+    );
+  }
+
+  /**
+   * Runs a job in a worker, adding every intermediate image to the reached sizes in order.
+   *
+   * @param {Job} job - Job to run.
+   * @param {AbortSignal} signal - Signal that cancels the job.
+   * @returns {Promise<void>} Promise that resolves once every intermediate image is added.
+   */
+  async runAddingJob(job, signal) {
+    let additions = Promise.resolve();
+
+    try {
+      await runJob(job, {
+        signal,
+        onProgress: ({ image, mask }) => {
+          if (!image) return;
+          additions = additions.then(() => this.add(image, mask));
+        },
+      });
+    } finally {
+      await additions;
+    }
+  }
+
+  /**
+   * Adds an image to the reached sizes and shows it if it is the closest to the target.
+   *
+   * @param {ImageData} image - Image reached.
+   * @param {Mask | null} mask - Mask of the image.
+   * @returns {Promise<void>}
+   */
+  async add(image, mask) {
+    const bitmap = await createImageBitmap(image);
+    const size = this.getSize(image);
+    this.entries.set(size, { image, mask, bitmap });
+    this.minSize = Math.min(this.minSize, size);
+    this.maxSize = Math.max(this.maxSize, size);
+    this.show();
+  }
+
+  /**
+   * Returns seam search options with the active energy function and mode.
+   *
+   * @param {Mask | null} mask - Mask of the image to search.
+   * @returns {Partial<SeamOptions>}
+   */
+  getSearchOptions(mask) {
+    return {
+      energyFunction: store.get("energyFunction"),
+      energyMode: store.get("energyMode"),
+      mask,
+    };
+  }
+}
@@ -0,0 +1,181 @@
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+
+/**
+ * Mask of an image, holding one mask value for every pixel in row-major order.
+ *
+ * @typedef {Uint8Array} Mask
+ */
+
+/**
+ * @typedef {typeof MASK_NEUTRAL | typeof MASK_PROTECT | typeof MASK_REMOVE} MaskValue
+ */
+
+/**
+ * Brush that paints protected pixels, pixels marked for removal, or erases both back to neutral.
+ *
+ * @typedef {"protect" | "remove" | "erase"} MaskBrush
+ */
+
+/** Pixels whose energy is left untouched. */
+export const MASK_NEUTRAL = 0;
+
+/** Pixels that seams should never cross. */
+export const MASK_PROTECT = 1;
+
+/** Pixels that seams should cross first. */
+export const MASK_REMOVE = 2;
+
+/**
+ * Returns a neutral mask of the specified size.
+ *
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @returns {Mask}
+ */
+export function createMask(width, height) {
+  return new Uint8Array(width * height);
+}
+
+/**
+ * Returns a copy of a mask with its rows and columns swapped.
+ *
+ * @param {Mask} mask - Mask to transpose.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @returns {Mask} Transposed mask.
+ */
+export function transposeMask(mask, width, height) {
+  const transposed = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      transposed[x * height + y] = mask[y * width + x];
+    }
+  }
+
+  return transposed;
+}
+
+/**
+ * Returns the number of pixels of a mask that hold the specified value.
+ *
+ * @param {Mask} mask - Mask to count in.
+ * @param {MaskValue} value - Mask value to count.
+ * @returns {number}
+ */
+export function countMaskValue(mask, value) {
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] == value) count++;
+  }
+
+  return count;
+}
+
+/**
+ * Returns a copy of a mask without the specified vertical seam.
+ *
+ * @param {Mask} mask - Mask to carve.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @param {Int32Array} seam - X-coordinate of the seam for every row.
+ * @returns {Mask} Mask one pixel narrower.
+ */
+export function removeVerticalMaskSeam(mask, width, height, seam) {
+  const carved = new Uint8Array((width - 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * width;
+    const targetRow = y * (width - 1);
+    const x = seam[y];
+
+    carved.set(mask.subarray(sourceRow, sourceRow + x), targetRow);
+    carved.set(
+      mask.subarray(sourceRow + x + 1, sourceRow + width),
+      targetRow + x,
+    );
+  }
+
+  return carved;
+}
+
+/**
+ * Returns a copy of a mask without the specified seam.
+ *
+ * @param {Mask} mask - Mask to carve.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @param {Int32Array} seam - Seam to remove. Holds the X-coordinate for every row if vertical,
+ * the Y-coordinate for every column if horizontal.
+ * @param {SeamDirection} direction - Direction of the seam.
+ * @returns {Mask} Mask one pixel narrower or shorter.
+ */
+export function removeMaskSeam(mask, width, height, seam, direction) {
+  if (direction == "vertical") {
+    return removeVerticalMaskSeam(mask, width, height, seam);
+  }
+
+  const transposed = transposeMask(mask, width, height);
+  const carved = removeVerticalMaskSeam(transposed, height, width, seam);
+  return transposeMask(carved, height - 1, width);
+}
+
+/**
+ * Returns a copy of a mask with every specified vertical seam duplicated at once.
+ * Inserted pixels take the mask value of the pixel they duplicate.
+ *
+ * @param {Mask} mask - Mask to enlarge.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @param {Int32Array[]} seams - Seams to duplicate, as X-coordinates in the mask.
+ * @returns {Mask} Mask wider by the number of seams.
+ */
+export function insertVerticalMaskSeams(mask, width, height, seams) {
+  const enlargedWidth = width + seams.length;
+  const enlarged = new Uint8Array(enlargedWidth * height);
+  const duplicates = new Uint8Array(width);
+
+  for (let y = 0; y < height; y++) {
+    duplicates.fill(0);
+    for (const seam of seams) {
+      duplicates[seam[y]]++;
+    }
+
+    let index = y * enlargedWidth;
+    for (let x = 0; x < width; x++) {
+      const value = mask[y * width + x];
+      enlarged.fill(value, index, index + 1 + duplicates[x]);
+      index += 1 + duplicates[x];
+    }
+  }
+
+  return enlarged;
+}
+
+/**
+ * Paints a disc of the specified value onto a mask, in place.
+ *
+ * @param {Mask} mask - Mask to paint on.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @param {number} x - X-coordinate of the center of the disc.
+ * @param {number} y - Y-coordinate of the center of the disc.
+ * @param {number} radius - Radius of the disc.
+ * @param {MaskValue} value - Mask value to paint.
+ */
+export function paintMask(mask, width, height, x, y, radius, value) {
+  const top = Math.max(Math.floor(y - radius), 0);
+  const bottom = Math.min(Math.ceil(y + radius), height - 1);
+  const left = Math.max(Math.floor(x - radius), 0);
+  const right = Math.min(Math.ceil(x + radius), width - 1);
+
+  for (let row = top; row <= bottom; row++) {
+    for (let column = left; column <= right; column++) {
+      // Pixels are painted when their center falls inside the disc
+      const squaredDistance = (column + 0.5 - x) ** 2 + (row + 0.5 - y) ** 2;
+      if (squaredDistance > radius ** 2) continue;
+
+      mask[row * width + column] = value;
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import IncrementalCarver from "/lib/seam-carving/incremental.js";
+import {
+  MASK_REMOVE,
+  countMaskValue,
+  transposeMask,
+} from "/lib/seam-carving/mask.js";
+import { transposeImage } from "/lib/seam-carving/seam-ops.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+
+/**
+ * @typedef {Object} ObjectRemovalStep
+ * @property {ImageData} image - Image after the removal of the seam.
+ * @property {Mask} mask - Mask of the image.
+ * @property {Int32Array} seam - Removed seam, in the coordinates of the image before its removal.
+ * @property {number} remaining - Number of pixels still marked for removal.
+ */
+
+/**
+ * Returns the direction whose seams cross the fewest marked pixels, which is the one
+ * that takes the fewest seams to remove them all. A vertical seam removes one pixel per row,
+ * so it takes at least as many as the widest row of marked pixels, and likewise for columns.
+ *
+ * @param {Mask} mask - Mask of the image.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @returns {SeamDirection}
+ */
+export function getObjectRemovalDirection(mask, width, height) {
+  const columnCounts = new Int32Array(width);
+  let widestRow = 0;
+
+  for (let y = 0; y < height; y++) {
+    let rowCount = 0;
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x] != MASK_REMOVE) continue;
+
+      rowCount++;
+      columnCounts[x]++;
+    }
+
+    widestRow = Math.max(widestRow, rowCount);
+  }
+
+  const tallestColumn = Math.max(...columnCounts);
+  return widestRow <= tallestColumn ? "vertical" : "horizontal";
+}
+
+/**
+ * Removes seams from an image until no pixel of its mask is marked for removal.
+ * Yields every intermediate image along with its mask.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {Mask} mask - Mask of the image.
+ * @param {SeamDirection} direction - Direction of the seams to remove.
+ * @param {Partial<SeamOptions>} [options] - Seam search options.
+ * @returns {Generator<ObjectRemovalStep, void, void>} Carved images, one per removed seam.
+ * @throws {Error} Throws if a seam fails to remove any marked pixel, which happens when
+ * protected pixels surround them.
+ */
+export function* removeMarkedPixels(image, mask, direction, options = {}) {
+  const isVertical = direction == "vertical";
+  const { width, height } = image;
+
+  const source = isVertical ? image : transposeImage(image);
+  const sourceMask = isVertical ? mask : transposeMask(mask, width, height);
+  const carver = new IncrementalCarver(source, {
+    ...options,
+    mask: sourceMask,
+  });
+
+  let remaining = countMaskValue(sourceMask, MASK_REMOVE);
+  while (remaining > 0) {
+    if (carver.width <= 1) {
+      throw new Error("Cannot remove every marked pixel.");
+    }
+
+    const seam = carver.findSeam();
+    carver.removeSeam(seam);
+    const carved = carver.getImage();
+    const carvedMask = carver.getMask();
+
+    const count = countMaskValue(carvedMask, MASK_REMOVE);
+    if (count == remaining) {
+      throw new Error(
+        "Cannot reach the marked pixels without crossing protected ones.",
+      );
+    }
+    remaining = count;
+
+    if (isVertical) {
+      yield { image: carved, mask: carvedMask, seam, remaining };
+      continue;
+    }
+
+    yield {
+      image: transposeImage(carved),
+      mask: transposeMask(carvedMask, carved.width, carved.height),
+      seam,
+      remaining,
+    };
+  }
+}
@@ -0,0 +1,214 @@
+import store from "/lib/store/store.js";
+import toastEvent from "/lib/events/toast-event.js";
+import { carve, isCommitting } from "/lib/seam-carving/carver.js";
+
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+
+/**
+ * @typedef {"paused" | "playing" | "fast-forward"} PlaybackMode
+ */
+
+/**
+ * Delay between two steps of every playing mode, in milliseconds.
+ * Playing leaves enough time for the removal animation of every seam.
+ *
+ * @type {Record<Exclude<PlaybackMode, "paused">, number>}
+ */
+const stepDelays = {
+  playing: 600,
+  "fast-forward": 50,
+};
+
+/** @type {PlaybackMode} */
+let mode = "paused";
+
+/** Whether a step is in progress. Steps never overlap. */
+let stepping = false;
+
+/** @type {number | null} */
+let timeoutId = null;
+
+/**
+ * Identifies the current stepping loop. A loop that resumes after playback was paused
+ * and started again is no longer the current one, and stops.
+ */
+let loopId = 0;
+
+/**
+ * Returns the current playback mode.
+ *
+ * @returns {PlaybackMode}
+ */
+const getMode = () => mode;
+
+/**
+ * Returns the direction of the seams to remove when stepping past the end of history.
+ *
+ * @returns {SeamDirection}
+ */
+const getDirection = () => store.get("direction");
+
+/**
+ * Returns whether a step back through the history of the active upload is possible.
+ *
+ * @returns {boolean}
+ */
+const canStepBack = () => {
+  return store.history.getIndex() > store.helpers.getHistoryStartIndex();
+};
+
+/**
+ * Returns whether later snapshots of the active upload are left to replay.
+ *
+ * @returns {boolean}
+ */
+const canReplay = () => {
+  return store.history.getIndex() < store.helpers.getHistoryEndIndex();
+};
+
+/**
+ * Returns whether a step forward is possible, either through history or by removing a new seam.
+ *
+ * @returns {boolean}
+ */
+const canStepForward = () => {
+  if (canReplay()) return true;
+
+  const image = store.get("image");
+  if (!image) return false;
+
+  const size = getDirection() == "vertical" ? image.width : image.height;
+  return size > 1;
+};
+
+/**
+ * Steps one seam forward. Replays history where it exists, removes a new seam otherwise.
+ * Never steps while an operation is committing images to history.
+ *
+ * @returns {Promise<boolean>} Promise that resolves to whether the step happened.
+ */
+const stepForward = async () => {
+  if (stepping || isCommitting() || !canStepForward()) return false;
+
+  if (canReplay()) {
+    store.redo();
+    return true;
+  }
+
+  stepping = true;
+  try {
+    await carve(getDirection(), 1);
+    return true;
+  } catch (error) {
+    toastEvent.emit({
+      status: "error",
+      message: `Playback stopped: ${error.message}`,
+    });
+    return false;
+  } finally {
+    stepping = false;
+  }
+};
+
+/**
+ * Pauses and steps one seam back through history.
+ */
+const stepBack = () => {
+  if (stepping || isCommitting()) return;
+  pause();
+  if (canStepBack()) store.undo();
+};
+
+/**
+ * Steps forward repeatedly until paused or until no step is possible.
+ *
+ * @param {number} id - ID of the loop.
+ */
+const tick = async (id) => {
+  if (id != loopId) return;
+  timeoutId = null;
+
+  // Waits for the step in progress, started outside of the loop
+  if (stepping) {
+    timeoutId = setTimeout(() => tick(id), stepDelays[mode]);
+    return;
+  }
+
+  const hasStepped = await stepForward();
+  if (mode == "paused" || id != loopId) return;
+  if (!hasStepped) {
+    pause();
+    return;
+  }
+
+  timeoutId = setTimeout(() => tick(id), stepDelays[mode]);
+};
+
+/**
+ * Starts stepping forward in the specified mode, or switches to it if already playing.
+ *
+ * @param {Exclude<PlaybackMode, "paused">} newMode - Playing mode.
+ */
+const start = (newMode) => {
+  const isPlaying = mode != "paused";
+  mode = newMode;
+
+  // A running loop picks up the new delay on its next step
+  if (!isPlaying) tick(++loopId);
+};
+
+/**
+ * Starts stepping forward at the regular pace.
+ */
+const play = () => start("playing");
+
+/**
+ * Starts stepping forward as fast as seams can be removed.
+ */
+const fastForward = () => start("fast-forward");
+
+/**
+ * Stops stepping forward. A step in progress still completes.
+ */
+const pause = () => {
+  mode = "paused";
+  if (timeoutId != null) clearTimeout(timeoutId);
+  timeoutId = null;
+};
+
+/**
+ * Pauses and jumps back through history to the upload of the active image.
+ */
+const jumpToStart = () => {
+  if (stepping || isCommitting()) return;
+  pause();
+
+  store.history.jumpTo(store.helpers.getHistoryStartIndex());
+};
+
+/**
+ * Pauses and jumps forward through history to the latest state of the active upload.
+ */
+const jumpToEnd = () => {
+  if (stepping || isCommitting()) return;
+  pause();
+
+  store.history.jumpTo(store.helpers.getHistoryEndIndex());
+};
+
+const playback = {
+  getMode,
+  getDirection,
+  canStepBack,
+  canReplay,
+  canStepForward,
+  stepForward,
+  stepBack,
+  play,
+  fastForward,
+  pause,
+  jumpToStart,
+  jumpToEnd,
+};
+
+export default playback;
@@ -0,0 +1,298 @@
+import {
+  computeEnergy,
+  createEnergyMap,
+  getMaskBias,
+  toGrayscale,
+} from "/lib/seam-carving/energy.js";
+import { transposeMask } from "/lib/seam-carving/mask.js";
+import { transposeImage } from "/lib/seam-carving/seam-ops.js";
+
+/** @import { EnergyFunction, EnergyMap } from "/lib/seam-carving/energy.js" */
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+
+/**
+ * Backward energy charges a seam for the energy of the pixels it removes.
+ * Forward energy charges it for the edges its removal creates between new neighbours.
+ *
+ * @typedef {"backward" | "forward"} EnergyMode
+ */
+
+/**
+ * @typedef {Object} CumulativeEnergy
+ * @property {EnergyMap} cumulative - Minimum cumulative energy of any seam ending at each pixel, in row-major order.
+ * @property {Int8Array} backpointers - Horizontal offset (-1, 0 or 1) from each pixel to its parent in the previous row.
+ */
+
+/**
+ * @typedef {Object} SeamSearch
+ * @property {number} width - Width of the searched image.
+ * @property {number} height - Height of the searched image.
+ * @property {EnergyMap} energy - Energy of every pixel, in row-major order. In forward mode, cost charged at every pixel instead.
+ * @property {EnergyMap} cumulative - Minimum cumulative energy matrix, in row-major order.
+ * @property {Int8Array} backpointers - Backpointer matrix, in row-major order.
+ * @property {Int32Array} seam - X-coordinate of the minimal vertical seam for every row.
+ */
+
+/**
+ * @typedef {Object} SeamOptions
+ * @property {EnergyFunction} energyFunction - Energy function to use in backward mode. Defaults to "gradient".
+ * @property {EnergyMode} energyMode - Seam cost criterion. Defaults to "backward".
+ * @property {Mask | null} mask - Mask of the searched image that biases its energy. Defaults to null.
+ */
+
+/**
+ * Fills a span of one row of a cumulative energy matrix from the row above, with backward energy.
+ *
+ * @param {EnergyMap} energy - Energy map, in row-major order.
+ * @param {EnergyMap} cumulative - Cumulative energy matrix to fill, in row-major order.
+ * @param {Int8Array} backpointers - Backpointer matrix to fill, in row-major order.
+ * @param {number} width - Width of the matrices.
+ * @param {number} y - Y-coordinate of the row.
+ * @param {number} from - X-coordinate of the first pixel of the span.
+ * @param {number} to - X-coordinate of the last pixel of the span, inclusive.
+ */
+export function fillCumulativeRow(
+  energy,
+  cumulative,
+  backpointers,
+  width,
+  y,
+  from,
+  to,
+) {
+  const row = y * width;
+  const previousRow = row - width;
+
+  for (let x = from; x <= to; x++) {
+    if (y == 0) {
+      cumulative[x] = energy[x];
+      continue;
+    }
+
+    // Ties favour the pixel straight above, then the one to the left
+    let offset = 0;
+    let minimum = cumulative[previousRow + x];
+
+    if (x > 0 && cumulative[previousRow + x - 1] < minimum) {
+      offset = -1;
+      minimum = cumulative[previousRow + x - 1];
+    }
+
+    if (x < width - 1 && cumulative[previousRow + x + 1] < minimum) {
+      offset = 1;
+      minimum = cumulative[previousRow + x + 1];
+    }
+
+    cumulative[row + x] = energy[row + x] + minimum;
+    backpointers[row + x] = offset;
+  }
+}
+
+/**
+ * Fills a span of one row of a cumulative energy matrix from the row above, with forward energy.
+ * Also fills the cost charged at every pixel of the span.
+ *
+ * @param {Float32Array} gray - Grayscale intensities of the image, in row-major order.
+ * @param {EnergyMap} energy - Charged cost map to fill, in row-major order.
+ * @param {EnergyMap} cumulative - Cumulative energy matrix to fill, in row-major order.
+ * @param {Int8Array} backpointers - Backpointer matrix to fill, in row-major order.
+ * @param {number} width - Width of the matrices.
+ * @param {number} y - Y-coordinate of the row.
+ * @param {number} from - X-coordinate of the first pixel of the span.
+ * @param {number} to - X-coordinate of the last pixel of the span, inclusive.
+ * @param {Mask | null} [mask=null] - Mask that biases the cost charged at every pixel. Optional.
+ */
+export function fillForwardCumulativeRow(
+  gray,
+  energy,
+  cumulative,
+  backpointers,
+  width,
+  y,
+  from,
+  to,
+  mask = null,
+) {
+  const row = y * width;
+  const previousRow = row - width;
+
+  for (let x = from; x <= to; x++) {
+    const left = gray[row + Math.max(x - 1, 0)];
+    const right = gray[row + Math.min(x + 1, width - 1)];
+    const bias = mask ? getMaskBias(mask[row + x]) : 0;
+
+    // Removing the pixel always joins its left and right neighbours
+    const costUp = Math.abs(right - left) + bias;
+    if (y == 0) {
+      energy[x] = costUp;
+      cumulative[x] = costUp;
+      continue;
+    }
+
+    // Moving diagonally also joins the pixel above with the neighbour left behind
+    const up = gray[previousRow + x];
+    const costLeft = costUp + Math.abs(up - left);
+    const costRight = costUp + Math.abs(up - right);
+
+    let offset = 0;
+    let cost = costUp;
+    let minimum = cumulative[previousRow + x] + costUp;
+
+    if (x > 0 && cumulative[previousRow + x - 1] + costLeft < minimum) {
+      offset = -1;
+      cost = costLeft;
+      minimum = cumulative[previousRow + x - 1] + costLeft;
+    }
+
+    if (x < width - 1 && cumulative[previousRow + x + 1] + costRight < minimum) {
+      offset = 1;
+      cost = costRight;
+      minimum = cumulative[previousRow + x + 1] + costRight;
+    }
+
+    energy[row + x] = cost;
+    cumulative[row + x] = minimum;
+    backpointers[row + x] = offset;
+  }
+}
+
+/**
+ * Builds the cumulative minimum-energy matrix of an energy map, top to bottom,
+ * along with the backpointers of every pixel.
+ *
+ * @param {EnergyMap} energy - Energy map, in row-major order.
+ * @param {number} width - Width of the energy map.
+ * @param {number} height - Height of the energy map.
+ * @returns {CumulativeEnergy}
+ */
+export function computeCumulativeEnergy(energy, width, height) {
+  // Keeps the precision of the energy map, which holds any mask bias
+  const ArrayConstructor = /** @type {any} */ (energy.constructor);
+  /** @type {EnergyMap} */
+  const cumulative = new ArrayConstructor(width * height);
+  const backpointers = new Int8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    fillCumulativeRow(energy, cumulative, backpointers, width, y, 0, width - 1);
+  }
+
+  return { cumulative, backpointers };
+}
+
+/**
+ * Builds the cumulative minimum-energy matrix of an image with forward energy (Rubinstein et al., 2008),
+ * along with the backpointers and the cost charged at every pixel.
+ *
+ * @param {Float32Array} gray - Grayscale intensities of the image, in row-major order.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @param {Mask | null} [mask=null] - Mask of the image. Optional.
+ * @returns {CumulativeEnergy & { energy: EnergyMap }}
+ */
+export function computeForwardCumulativeEnergy(
+  gray,
+  width,
+  height,
+  mask = null,
+) {
+  const energy = createEnergyMap(width * height, mask);
+  const cumulative = createEnergyMap(width * height, mask);
+  const backpointers = new Int8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    fillForwardCumulativeRow(
+      gray,
+      energy,
+      cumulative,
+      backpointers,
+      width,
+      y,
+      0,
+      width - 1,
+      mask,
+    );
+  }
+
+  return { energy, cumulative, backpointers };
+}
+
+/**
+ * Traces the minimal vertical seam back from the bottom row of a cumulative energy matrix.
+ *
+ * @param {EnergyMap} cumulative - Cumulative energy matrix, in row-major order.
+ * @param {Int8Array} backpointers - Backpointer matrix, in row-major order.
+ * @param {number} width - Width of the matrices.
+ * @param {number} height - Height of the matrices.
+ * @returns {Int32Array} X-coordinate of the seam for every row.
+ */
+export function traceVerticalSeam(cumulative, backpointers, width, height) {
+  const seam = new Int32Array(height);
+  const lastRow = (height - 1) * width;
+
+  let x = 0;
+  for (let i = 1; i < width; i++) {
+    if (cumulative[lastRow + i] < cumulative[lastRow + x]) x = i;
+  }
+
+  for (let y = height - 1; y >= 0; y--) {
+    seam[y] = x;
+    x += backpointers[y * width + x];
+  }
+
+  return seam;
+}
+
+/**
+ * Finds the minimal vertical seam of an image and returns it along with
+ * every intermediate matrix of the search.
+ *
+ * @param {ImageData} image - Image to search.
+ * @param {Partial<SeamOptions>} [options] - Search options.
+ * @returns {SeamSearch}
+ */
+export function findVerticalSeam(image, options = {}) {
+  const {
+    energyFunction = "gradient",
+    energyMode = "backward",
+    mask = null,
+  } = options;
+  const { width, height } = image;
+
+  if (energyMode == "forward") {
+    const gray = toGrayscale(image);
+    const { energy, cumulative, backpointers } =
+      computeForwardCumulativeEnergy(gray, width, height, mask);
+    const seam = traceVerticalSeam(cumulative, backpointers, width, height);
+
+    return { width, height, energy, cumulative, backpointers, seam };
+  }
+
+  const energy = computeEnergy(image, energyFunction, mask);
+  const { cumulative, backpointers } = computeCumulativeEnergy(
+    energy,
+    width,
+    height,
+  );
+  const seam = traceVerticalSeam(cumulative, backpointers, width, height);
+
+  return { width, height, energy, cumulative, backpointers, seam };
+}
+
+/**
+ * Finds the minimal seam of an image in the specified direction.
+ * Horizontal seams are searched on the transposed image, so their matrices are transposed
+ * and their seam holds the Y-coordinate for every column.
+ *
+ * @param {ImageData} image - Image to search.
+ * @param {SeamDirection} direction - Direction of the seam.
+ * @param {Partial<SeamOptions>} [options] - Search options. The mask is given untransposed.
+ * @returns {SeamSearch}
+ */
+export function findSeam(image, direction, options = {}) {
+  if (direction == "vertical") return findVerticalSeam(image, options);
+
+  const { width, height } = image;
+  const mask = options.mask ? transposeMask(options.mask, width, height) : null;
+  return findVerticalSeam(transposeImage(image), { ...options, mask });
+}
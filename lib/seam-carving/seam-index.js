@@ -0,0 +1,119 @@
+import IncrementalCarver, {
+  removeFromRows,
+} from "/lib/seam-carving/incremental.js";
+
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * @typedef {Object} SeamIndex
+ * @property {ImageData} image - Indexed image.
+ * @property {number} count - Number of indexed seams.
+ * @property {Int32Array} order - Step at which every pixel gets removed, in row-major order. Pixels that are never removed hold the number of indexed seams.
+ */
+
+/**
+ * Builds the multi-size index of an image by removing its vertical seams one after the other
+ * and recording, for every pixel, the step at which it was removed.
+ *
+ * @param {ImageData} image - Image to index.
+ * @param {number} count - Number of seams to index.
+ * @param {Partial<SeamOptions>} [options] - Seam search options.
+ * @param {(step: number, total: number) => void} [onProgress] - Function to call after every removed seam. Optional.
+ * @returns {SeamIndex}
+ * @throws {Error} Throws if the image is too small to remove that many seams.
+ */
+export function buildSeamIndex(
+  image,
+  count,
+  options = {},
+  onProgress = () => {},
+) {
+  const { width, height } = image;
+  if (count >= width) {
+    throw new Error(`Cannot index ${count} seams in ${width} pixels.`);
+  }
+
+  const order = new Int32Array(width * height).fill(count);
+
+  // Original X-coordinate of every pixel of the carved image
+  let columns = new Int32Array(width * height);
+  for (let i = 0; i < columns.length; i++) {
+    columns[i] = i % width;
+  }
+
+  const carver = new IncrementalCarver(image, options);
+  for (let step = 0; step < count; step++) {
+    const seam = carver.findSeam();
+    for (let y = 0; y < height; y++) {
+      order[y * width + columns[y * carver.width + seam[y]]] = step;
+    }
+
+    columns = removeFromRows(columns, carver.width, height, seam);
+    carver.removeSeam(seam);
+    onProgress(step + 1, count);
+  }
+
+  return { image, count, order };
+}
+
+/**
+ * Renders an indexed image at the specified width without searching for any seam.
+ * Narrower widths drop the pixels removed by the first seams, wider widths duplicate them
+ * by averaging them with their right neighbour.
+ *
+ * @param {SeamIndex} seamIndex - Multi-size index of the image.
+ * @param {number} width - Target width.
+ * @returns {ImageData} Image at the target width.
+ * @throws {Error} Throws if the target width is out of the indexed range.
+ */
+export function renderSeamIndex(seamIndex, width) {
+  const { image, count, order } = seamIndex;
+  const { height } = image;
+  const sourceWidth = image.width;
+  if (width < sourceWidth - count || width > sourceWidth + count) {
+    throw new Error(`Width ${width} is out of the indexed range.`);
+  }
+
+  const rendered = new ImageData(width, height);
+  const source = new Uint32Array(image.data.buffer);
+  const target = new Uint32Array(rendered.data.buffer);
+
+  const removed = Math.max(sourceWidth - width, 0);
+  const inserted = Math.max(width - sourceWidth, 0);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * sourceWidth;
+    let targetIndex = y * width;
+
+    for (let x = 0; x < sourceWidth; x++) {
+      const step = order[sourceRow + x];
+      if (step < removed) continue;
+
+      target[targetIndex++] = source[sourceRow + x];
+      if (step >= inserted) continue;
+
+      const neighbour = sourceRow + Math.min(x + 1, sourceWidth - 1);
+      for (let channel = 0; channel < 4; channel++) {
+        rendered.data[(targetIndex << 2) + channel] =
+          (image.data[((sourceRow + x) << 2) + channel] +
+            image.data[(neighbour << 2) + channel]) /
+          2;
+      }
+      targetIndex++;
+    }
+  }
+
+  return rendered;
+}
+
+/**
+ * Renders an indexed image at the specified width, ready to be drawn.
+ *
+ * @param {SeamIndex} seamIndex - Multi-size index of the image.
+ * @param {number} width - Target width.
+ * @returns {Promise<ImageBitmap>} Promise that resolves to the bitmap at the target width.
+ * @throws {Error} Rejects if the target width is out of the indexed range.
+ */
+export async function renderSeamIndexBitmap(seamIndex, width) {
+  return createImageBitmap(renderSeamIndex(seamIndex, width));
+}
@@ -0,0 +1,151 @@
+import IncrementalCarver, {
+  removeFromRows,
+} from "/lib/seam-carving/incremental.js";
+import {
+  insertVerticalMaskSeams,
+  transposeMask,
+} from "/lib/seam-carving/mask.js";
+import { transposeImage } from "/lib/seam-carving/seam-ops.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * Finds the lowest-energy vertical seams of an image by removing them one after the other
+ * from a working copy, and maps each seam back to the coordinates of the original image.
+ *
+ * @param {ImageData} image - Image to search.
+ * @param {number} count - Number of seams to find.
+ * @param {Partial<SeamOptions>} [options] - Seam search options.
+ * @returns {Int32Array[]} Seams in order of removal, as X-coordinates in the original image.
+ * @throws {Error} Throws if the image is too narrow to find that many seams.
+ */
+export function findVerticalSeams(image, count, options = {}) {
+  const { width, height } = image;
+  if (count >= width) {
+    throw new Error(`Cannot find ${count} seams in ${width} pixels.`);
+  }
+
+  // Original X-coordinate of every pixel left in the working copy
+  let columns = new Int32Array(width * height);
+  for (let i = 0; i < columns.length; i++) {
+    columns[i] = i % width;
+  }
+
+  /** @type {Int32Array[]} */
+  const seams = [];
+  const carver = new IncrementalCarver(image, options);
+
+  for (let i = 0; i < count; i++) {
+    const seam = carver.findSeam();
+    const originalSeam = new Int32Array(height);
+    for (let y = 0; y < height; y++) {
+      originalSeam[y] = columns[y * carver.width + seam[y]];
+    }
+
+    seams.push(originalSeam);
+    columns = removeFromRows(columns, carver.width, height, seam);
+    carver.removeSeam(seam);
+  }
+
+  return seams;
+}
+
+/**
+ * Returns a copy of an image with every specified vertical seam duplicated at once.
+ * Each inserted pixel averages the seam pixel with its right neighbour in the original image.
+ *
+ * @param {ImageData} image - Image to enlarge.
+ * @param {Int32Array[]} seams - Seams to duplicate, as X-coordinates in the image.
+ * @returns {ImageData} Image wider by the number of seams.
+ */
+export function insertVerticalSeams(image, seams) {
+  const { width, height } = image;
+  const enlargedWidth = width + seams.length;
+  const enlarged = new ImageData(enlargedWidth, height);
+  const source = new Uint32Array(image.data.buffer);
+  const target = new Uint32Array(enlarged.data.buffer);
+
+  // Number of times each pixel of the current row gets duplicated
+  const duplicates = new Uint8Array(width);
+
+  for (let y = 0; y < height; y++) {
+    duplicates.fill(0);
+    for (const seam of seams) {
+      duplicates[seam[y]]++;
+    }
+
+    const sourceRow = y * width;
+    const targetRow = y * enlargedWidth;
+
+    // Every duplicated pixel shifts the rest of the row one pixel to the right
+    let shift = 0;
+    for (let x = 0; x < width; x++) {
+      target[targetRow + x + shift] = source[sourceRow + x];
+
+      const neighbour = sourceRow + Math.min(x + 1, width - 1);
+      for (let i = 0; i < duplicates[x]; i++) {
+        shift++;
+
+        const index = targetRow + x + shift;
+        for (let channel = 0; channel < 4; channel++) {
+          enlarged.data[(index << 2) + channel] =
+            (image.data[((sourceRow + x) << 2) + channel] +
+              image.data[(neighbour << 2) + channel]) /
+            2;
+        }
+      }
+    }
+  }
+
+  return enlarged;
+}
+
+/**
+ * @typedef {Object} Enlargement
+ * @property {ImageData} image - Enlarged image.
+ * @property {Mask | null} mask - Enlarged mask, or null if the image has none.
+ */
+
+/**
+ * Enlarges an image by finding its lowest-energy seams and duplicating them, along with its mask if any.
+ * Yields every intermediate image, the first holding one inserted seam and the last holding all of them.
+ *
+ * @param {ImageData} image - Image to enlarge.
+ * @param {SeamDirection} direction - Direction of the seams to insert.
+ * @param {number} count - Number of seams to insert.
+ * @param {Partial<SeamOptions>} [options] - Seam search options. The mask is given untransposed.
+ * @returns {Generator<Enlargement, void, void>} Enlarged images, one per inserted seam.
+ * @throws {Error} Throws if the image is too small to insert that many seams.
+ */
+export function* insertSeams(image, direction, count, options = {}) {
+  const isVertical = direction == "vertical";
+  const { width, height } = image;
+
+  const source = isVertical ? image : transposeImage(image);
+  let mask = options.mask ?? null;
+  if (mask && !isVertical) mask = transposeMask(mask, width, height);
+
+  const seams = findVerticalSeams(source, count, { ...options, mask });
+
+  for (let i = 1; i <= count; i++) {
+    const prefix = seams.slice(0, i);
+    const enlarged = insertVerticalSeams(source, prefix);
+    const enlargedMask =
+      mask &&
+      insertVerticalMaskSeams(mask, source.width, source.height, prefix);
+
+    if (isVertical) {
+      yield { image: enlarged, mask: enlargedMask };
+      continue;
+    }
+
+    yield {
+      image: transposeImage(enlarged),
+      mask:
+        enlargedMask &&
+        transposeMask(enlargedMask, enlarged.width, enlarged.height),
+    };
+  }
+}
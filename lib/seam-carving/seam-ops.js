@@ -0,0 +1,172 @@
+/**
+ * @typedef {"vertical" | "horizontal"} SeamDirection
+ */
+
+/**
+ * Returns a copy of an image with its rows and columns swapped.
+ *
+ * @param {ImageData} image - Image to transpose.
+ * @returns {ImageData} Transposed image.
+ */
+export function transposeImage(image) {
+  const { width, height } = image;
+  const source = new Uint32Array(image.data.buffer);
+  const transposed = new ImageData(height, width);
+  const target = new Uint32Array(transposed.data.buffer);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      target[x * height + y] = source[y * width + x];
+    }
+  }
+
+  return transposed;
+}
+
+/**
+ * Returns a copy of an image without the specified vertical seam.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {Int32Array} seam - X-coordinate of the seam for every row.
+ * @returns {ImageData} Image one pixel narrower.
+ */
+export function removeVerticalSeam(image, seam) {
+  const { width, height } = image;
+  const source = new Uint32Array(image.data.buffer);
+  const carved = new ImageData(width - 1, height);
+  const target = new Uint32Array(carved.data.buffer);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * width;
+    const targetRow = y * (width - 1);
+    const x = seam[y];
+
+    target.set(source.subarray(sourceRow, sourceRow + x), targetRow);
+    target.set(
+      source.subarray(sourceRow + x + 1, sourceRow + width),
+      targetRow + x,
+    );
+  }
+
+  return carved;
+}
+
+/**
+ * Returns a copy of an image without the specified horizontal seam.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {Int32Array} seam - Y-coordinate of the seam for every column.
+ * @returns {ImageData} Image one pixel shorter.
+ */
+export function removeHorizontalSeam(image, seam) {
+  const { width, height } = image;
+  const source = new Uint32Array(image.data.buffer);
+  const carved = new ImageData(width, height - 1);
+  const target = new Uint32Array(carved.data.buffer);
+
+  for (let x = 0; x < width; x++) {
+    const seamY = seam[x];
+    for (let y = 0; y < seamY; y++) {
+      target[y * width + x] = source[y * width + x];
+    }
+
+    for (let y = seamY + 1; y < height; y++) {
+      target[(y - 1) * width + x] = source[y * width + x];
+    }
+  }
+
+  return carved;
+}
+
+/**
+ * Writes the average of two source pixels into a target pixel.
+ *
+ * @param {Uint8ClampedArray} source - Source pixel data.
+ * @param {number} a - Index of the first source pixel.
+ * @param {number} b - Index of the second source pixel.
+ * @param {Uint8ClampedArray} target - Target pixel data.
+ * @param {number} index - Index of the target pixel.
+ */
+function writeAverage(source, a, b, target, index) {
+  for (let channel = 0; channel < 4; channel++) {
+    target[(index << 2) + channel] =
+      (source[(a << 2) + channel] + source[(b << 2) + channel]) / 2;
+  }
+}
+
+/**
+ * Returns a copy of an image with the specified vertical seam duplicated.
+ * The inserted pixel averages the seam pixel with its right neighbour.
+ *
+ * @param {ImageData} image - Image to enlarge.
+ * @param {Int32Array} seam - X-coordinate of the seam for every row.
+ * @returns {ImageData} Image one pixel wider.
+ */
+export function insertVerticalSeam(image, seam) {
+  const { width, height } = image;
+  const source = new Uint32Array(image.data.buffer);
+  const enlarged = new ImageData(width + 1, height);
+  const target = new Uint32Array(enlarged.data.buffer);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = y * width;
+    const targetRow = y * (width + 1);
+    const x = seam[y];
+    const neighbour = Math.min(x + 1, width - 1);
+
+    target.set(source.subarray(sourceRow, sourceRow + x + 1), targetRow);
+    writeAverage(
+      image.data,
+      sourceRow + x,
+      sourceRow + neighbour,
+      enlarged.data,
+      targetRow + x + 1,
+    );
+    target.set(
+      source.subarray(sourceRow + x + 1, sourceRow + width),
+      targetRow + x + 2,
+    );
+  }
+
+  return enlarged;
+}
+
+/**
+ * Returns a copy of an image with the specified horizontal seam duplicated.
+ * The inserted pixel averages the seam pixel with its bottom neighbour.
+ *
+ * @param {ImageData} image - Image to enlarge.
+ * @param {Int32Array} seam - Y-coordinate of the seam for every column.
+ * @returns {ImageData} Image one pixel taller.
+ */
+export function insertHorizontalSeam(image, seam) {
+  const transposed = transposeImage(image);
+  const enlarged = insertVerticalSeam(transposed, seam);
+  return transposeImage(enlarged);
+}
+
+/**
+ * Returns a copy of an image without the specified seam.
+ *
+ * @param {ImageData} image - Image to carve.
+ * @param {Int32Array} seam - Seam coordinates, one per row or column.
+ * @param {SeamDirection} direction - Direction of the seam.
+ * @returns {ImageData} Carved image.
+ */
+export function removeSeam(image, seam, direction) {
+  if (direction == "vertical") return removeVerticalSeam(image, seam);
+  return removeHorizontalSeam(image, seam);
+}
+
+/**
+ * Returns a copy of an image with the specified seam duplicated.
+ *
+ * @param {ImageData} image - Image to enlarge.
+ * @param {Int32Array} seam - Seam coordinates, one per row or column.
+ * @param {SeamDirection} direction - Direction of the seam.
+ * @returns {ImageData} Enlarged image.
+ */
+export function insertSeam(image, seam, direction) {
+  if (direction == "vertical") return insertVerticalSeam(image, seam);
+  return insertHorizontalSeam(image, seam);
+}
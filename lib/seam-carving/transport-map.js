@@ -0,0 +1,158 @@
+import { removeMaskSeam } from "/lib/seam-carving/mask.js";
+import { findSeam } from "/lib/seam-carving/seam-finder.js";
+import { removeSeam } from "/lib/seam-carving/seam-ops.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamOptions, SeamSearch } from "/lib/seam-carving/seam-finder.js" */
+
+/**
+ * @typedef {Object} TransportMap
+ * @property {number} rows - Number of horizontal seams to remove.
+ * @property {number} columns - Number of vertical seams to remove.
+ * @property {Float64Array} costs - Minimum total energy to remove r horizontal and c vertical seams, at index r * (columns + 1) + c.
+ * @property {Uint8Array} choices - Whether the last removal on the optimal path to each entry is vertical (1) or horizontal (0).
+ * @property {SeamDirection[]} order - Optimal removal order, from first to last.
+ */
+
+/**
+ * Returns the total energy of the minimal seam of a search.
+ *
+ * @param {SeamSearch} search - Seam search.
+ * @returns {number}
+ */
+function getSeamCost(search) {
+  const { width, height, cumulative, seam } = search;
+  return cumulative[(height - 1) * width + seam[height - 1]];
+}
+
+/**
+ * Computes the transport map of an image (Avidan & Shamir, 2007), which gives the
+ * optimal interleaving of vertical and horizontal seam removals for a target size.
+ * Only keeps two rows of intermediate images, and of their masks if any, in memory.
+ *
+ * @param {ImageData} image - Image to retarget.
+ * @param {number} rows - Number of horizontal seams to remove.
+ * @param {number} columns - Number of vertical seams to remove.
+ * @param {Partial<SeamOptions>} [options] - Seam search options.
+ * @param {(step: number, total: number) => void} [onProgress] - Function to call after every entry of the map. Optional.
+ * @returns {TransportMap}
+ * @throws {Error} Throws if the image is too small to remove that many seams.
+ */
+export function computeTransportMap(
+  image,
+  rows,
+  columns,
+  options = {},
+  onProgress = () => {},
+) {
+  if (rows >= image.height || columns >= image.width) {
+    throw new Error(
+      `Cannot remove ${columns}x${rows} seams from ${image.width}x${image.height} pixels.`,
+    );
+  }
+
+  const stride = columns + 1;
+  const costs = new Float64Array((rows + 1) * stride);
+  const choices = new Uint8Array((rows + 1) * stride);
+
+  /** @type {ImageData[]} */
+  let previousImages = [];
+  /** @type {(Mask | null)[]} */
+  let previousMasks = [];
+
+  for (let r = 0; r <= rows; r++) {
+    /** @type {ImageData[]} */
+    const images = [];
+    /** @type {(Mask | null)[]} */
+    const masks = [];
+
+    for (let c = 0; c <= columns; c++) {
+      const index = r * stride + c;
+      if (r == 0 && c == 0) {
+        images.push(image);
+        masks.push(options.mask ?? null);
+        continue;
+      }
+
+      let cost = Infinity;
+      /** @type {ImageData} */
+      let source;
+      /** @type {Mask | null} */
+      let sourceMask;
+      /** @type {SeamSearch} */
+      let search;
+
+      if (r > 0) {
+        source = previousImages[c];
+        sourceMask = previousMasks[c];
+        search = findSeam(source, "horizontal", {
+          ...options,
+          mask: sourceMask,
+        });
+        cost = costs[index - stride] + getSeamCost(search);
+        choices[index] = 0;
+      }
+
+      if (c > 0) {
+        const verticalSource = images[c - 1];
+        const verticalMask = masks[c - 1];
+        const verticalSearch = findSeam(verticalSource, "vertical", {
+          ...options,
+          mask: verticalMask,
+        });
+        const verticalCost = costs[index - 1] + getSeamCost(verticalSearch);
+
+        if (verticalCost < cost) {
+          source = verticalSource;
+          sourceMask = verticalMask;
+          search = verticalSearch;
+          cost = verticalCost;
+          choices[index] = 1;
+        }
+      }
+
+      const direction = choices[index] == 1 ? "vertical" : "horizontal";
+      const { width, height } = source;
+      const carved = removeSeam(source, search.seam, direction);
+      const carvedMask =
+        sourceMask &&
+        removeMaskSeam(sourceMask, width, height, search.seam, direction);
+
+      costs[index] = cost;
+      images.push(carved);
+      masks.push(carvedMask);
+      onProgress(index, costs.length - 1);
+    }
+
+    previousImages = images;
+    previousMasks = masks;
+  }
+
+  const order = getRemovalOrder(choices, rows, columns);
+  return { rows, columns, costs, choices, order };
+}
+
+/**
+ * Backtracks the optimal removal order through the choices of a transport map.
+ *
+ * @param {Uint8Array} choices - Choices of the transport map.
+ * @param {number} rows - Number of horizontal seams to remove.
+ * @param {number} columns - Number of vertical seams to remove.
+ * @returns {SeamDirection[]} Removal order, from first to last.
+ */
+export function getRemovalOrder(choices, rows, columns) {
+  /** @type {SeamDirection[]} */
+  const order = [];
+
+  let r = rows;
+  let c = columns;
+  while (r > 0 || c > 0) {
+    const isVertical = choices[r * (columns + 1) + c] == 1;
+    order.push(isVertical ? "vertical" : "horizontal");
+    if (isVertical) c--;
+    else r--;
+  }
+
+  return order.reverse();
+}
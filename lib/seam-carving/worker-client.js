@@ -0,0 +1,158 @@
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamOptions } from "/lib/seam-carving/seam-finder.js" */
+/** @import { EnergyFunction } from "/lib/seam-carving/energy.js" */
+
+/**
+ * @typedef {Object} CarveJob
+ * @property {"carve"} type
+ * @property {ImageData} image - Image to carve.
+ * @property {SeamDirection[]} order - Direction of every seam to remove, from first to last.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {Object} EnlargeJob
+ * @property {"enlarge"} type
+ * @property {ImageData} image - Image to enlarge.
+ * @property {SeamDirection} direction - Direction of the seams to insert.
+ * @property {number} count - Number of seams to insert.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {Object} TransportMapJob
+ * @property {"transport-map"} type
+ * @property {ImageData} image - Image to retarget.
+ * @property {number} rows - Number of horizontal seams to remove.
+ * @property {number} columns - Number of vertical seams to remove.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {Object} SeamIndexJob
+ * @property {"seam-index"} type
+ * @property {ImageData} image - Image to index.
+ * @property {number} count - Number of vertical seams to index.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {Object} ObjectRemovalJob
+ * @property {"remove-object"} type
+ * @property {ImageData} image - Image to carve.
+ * @property {SeamDirection} direction - Direction of the seams to remove.
+ * @property {Partial<SeamOptions>} options - Seam search options. Must hold the mask that marks the object.
+ */
+
+/**
+ * @typedef {Object} EnergyJob
+ * @property {"energy"} type
+ * @property {ImageData} image - Image to compute the energy of.
+ * @property {EnergyFunction} energyFunction - Energy function to use.
+ */
+
+/**
+ * @typedef {Object} SeamSearchJob
+ * @property {"seam-search"} type
+ * @property {ImageData} image - Image to search.
+ * @property {SeamDirection} direction - Direction of the seam to find.
+ * @property {Partial<SeamOptions>} options - Seam search options.
+ */
+
+/**
+ * @typedef {CarveJob
+ *   | EnlargeJob
+ *   | TransportMapJob
+ *   | SeamIndexJob
+ *   | ObjectRemovalJob
+ *   | EnergyJob
+ *   | SeamSearchJob} Job
+ */
+
+/**
+ * @typedef {Object} JobProgress
+ * @property {number} step - Number of completed steps.
+ * @property {number} total - Total number of steps.
+ * @property {ImageData | null} image - Intermediate image produced by the step, if any.
+ * @property {Mask | null} mask - Mask of the intermediate image, if any.
+ * @property {Int32Array | null} seam - Seam removed by the step, if any. Holds the X-coordinate for every row
+ * if vertical, the Y-coordinate for every column if horizontal.
+ * @property {SeamDirection | null} direction - Direction of the removed seam, if any.
+ */
+
+/**
+ * @typedef {({ type: "progress" } & JobProgress)
+ *   | { type: "done", result: any }
+ *   | { type: "error", message: string }} WorkerMessage
+ */
+
+/**
+ * @typedef {Object} JobOptions
+ * @property {AbortSignal} signal - Signal that cancels the job when aborted.
+ * @property {(progress: JobProgress) => void} onProgress - Function to call on every progress message.
+ */
+
+const WORKER_URL = new URL("/lib/seam-carving/worker.js", import.meta.url);
+
+/**
+ * Runs a job in a dedicated worker and returns its result.
+ * The job's image is copied before being transferred, so the caller keeps its own.
+ *
+ * @param {Job} job - Job to run.
+ * @param {Partial<JobOptions>} [options] - Job options.
+ * @returns {Promise<any>} Promise that resolves to the result of the job.
+ * @throws {Error} Rejects if the job fails, or with the signal's reason if it is aborted.
+ */
+export function runJob(job, options = {}) {
+  const { signal = null, onProgress = () => {} } = options;
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  const data = new Uint8ClampedArray(job.image.data);
+  const image = new ImageData(data, job.image.width, job.image.height);
+  const worker = new Worker(WORKER_URL, { type: "module" });
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+
+    const settle = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", handleAbort);
+    };
+
+    worker.addEventListener(
+      "message",
+      (/** @type {MessageEvent<WorkerMessage>} */ event) => {
+        const message = event.data;
+        switch (message.type) {
+          case "progress":
+            onProgress(message);
+            break;
+
+          case "done":
+            settle();
+            resolve(message.result);
+            break;
+
+          case "error":
+            settle();
+            reject(new Error(message.message));
+            break;
+        }
+      },
+    );
+
+    worker.addEventListener("error", (event) => {
+      settle();
+      reject(new Error(`Worker failed: ${event.message}`));
+    });
+
+    signal?.addEventListener("abort", handleAbort);
+    worker.postMessage({ ...job, image }, [data.buffer]);
+  });
+}
@@ -0,0 +1,218 @@
+import IncrementalCarver from "/lib/seam-carving/incremental.js";
+import { computeEnergy } from "/lib/seam-carving/energy.js";
+import {
+  MASK_REMOVE,
+  countMaskValue,
+  transposeMask,
+} from "/lib/seam-carving/mask.js";
+import { removeMarkedPixels } from "/lib/seam-carving/object-removal.js";
+import { buildSeamIndex } from "/lib/seam-carving/seam-index.js";
+import { findSeam } from "/lib/seam-carving/seam-finder.js";
+import { insertSeams } from "/lib/seam-carving/seam-insertion.js";
+import { transposeImage } from "/lib/seam-carving/seam-ops.js";
+import { computeTransportMap } from "/lib/seam-carving/transport-map.js";
+
+/** @import { Mask } from "/lib/seam-carving/mask.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { Job, WorkerMessage } from "/lib/seam-carving/worker-client.js" */
+
+/**
+ * Posts a message to the main thread, transferring the specified buffers.
+ *
+ * @param {WorkerMessage} message - Message to post.
+ * @param {Transferable[]} [transfer] - Buffers to transfer. Optional.
+ */
+function post(message, transfer = []) {
+  self.postMessage(message, { transfer });
+}
+
+/**
+ * Posts a progress message along with a copy of an intermediate image, its mask and the seam
+ * removed to produce it. The copies are transferred so that the worker can keep working on the originals.
+ *
+ * @param {number} step - Number of completed steps.
+ * @param {number} total - Total number of steps.
+ * @param {ImageData | null} [image] - Intermediate image. Optional.
+ * @param {Mask | null} [mask] - Mask of the intermediate image. Optional.
+ * @param {Int32Array | null} [seam] - Seam removed to produce the intermediate image. Optional.
+ * @param {SeamDirection | null} [direction] - Direction of the removed seam. Optional.
+ */
+function postProgress(
+  step,
+  total,
+  image = null,
+  mask = null,
+  seam = null,
+  direction = null,
+) {
+  if (!image) {
+    post({
+      type: "progress",
+      step,
+      total,
+      image: null,
+      mask: null,
+      seam: null,
+      direction: null,
+    });
+    return;
+  }
+
+  const data = new Uint8ClampedArray(image.data);
+  const copy = new ImageData(data, image.width, image.height);
+  const maskCopy = mask ? mask.slice() : null;
+  const seamCopy = seam ? seam.slice() : null;
+
+  /** @type {Transferable[]} */
+  const transfer = [data.buffer];
+  if (maskCopy) transfer.push(maskCopy.buffer);
+  if (seamCopy) transfer.push(seamCopy.buffer);
+
+  post(
+    {
+      type: "progress",
+      step,
+      total,
+      image: copy,
+      mask: maskCopy,
+      seam: seamCopy,
+      direction: seamCopy ? direction : null,
+    },
+    transfer,
+  );
+}
+
+/**
+ * Runs a job and returns its result.
+ *
+ * @param {Job} job - Job to run.
+ * @returns {any} Result of the job.
+ */
+function run(job) {
+  switch (job.type) {
+    case "carve": {
+      let image = job.image;
+      let mask = job.options.mask ?? null;
+      const total = job.order.length;
+
+      // Consecutive seams in the same direction share one incremental carver
+      /** @type {IncrementalCarver} */
+      let carver;
+      let carverDirection = null;
+
+      job.order.forEach((direction, i) => {
+        const isVertical = direction == "vertical";
+        if (direction != carverDirection) {
+          const { width, height } = image;
+          const source = isVertical ? image : transposeImage(image);
+          const sourceMask =
+            mask && !isVertical ? transposeMask(mask, width, height) : mask;
+
+          carver = new IncrementalCarver(source, {
+            ...job.options,
+            mask: sourceMask,
+          });
+          carverDirection = direction;
+        }
+
+        const seam = carver.findSeam();
+        carver.removeSeam(seam);
+        const carved = carver.getImage();
+        const carvedMask = carver.getMask();
+        image = isVertical ? carved : transposeImage(carved);
+        mask =
+          carvedMask && !isVertical
+            ? transposeMask(carvedMask, carved.width, carved.height)
+            : carvedMask;
+        postProgress(i + 1, total, image, mask, seam, direction);
+      });
+
+      return null;
+    }
+
+    case "enlarge": {
+      const enlargements = insertSeams(
+        job.image,
+        job.direction,
+        job.count,
+        job.options,
+      );
+
+      let step = 0;
+      for (const { image, mask } of enlargements) {
+        postProgress(++step, job.count, image, mask);
+      }
+
+      return null;
+    }
+
+    case "transport-map": {
+      return computeTransportMap(
+        job.image,
+        job.rows,
+        job.columns,
+        job.options,
+        (step, total) => postProgress(step, total),
+      );
+    }
+
+    case "seam-index": {
+      const { count, order } = buildSeamIndex(
+        job.image,
+        job.count,
+        job.options,
+        (step, total) => postProgress(step, total),
+      );
+
+      // The indexed image is left out, the main thread already holds it
+      return { count, order };
+    }
+
+    case "remove-object": {
+      const { mask } = job.options;
+      const total = countMaskValue(mask, MASK_REMOVE);
+      const steps = removeMarkedPixels(
+        job.image,
+        mask,
+        job.direction,
+        job.options,
+      );
+
+      // Progress counts removed pixels, the number of seams is not known in advance
+      let count = 0;
+      for (const { image, mask, seam, remaining } of steps) {
+        count++;
+        postProgress(
+          total - remaining,
+          total,
+          image,
+          mask,
+          seam,
+          job.direction,
+        );
+      }
+
+      return { count };
+    }
+
+    case "energy": {
+      return computeEnergy(job.image, job.energyFunction);
+    }
+
+    case "seam-search": {
+      return findSeam(job.image, job.direction, job.options);
+    }
+
+    default:
+      throw new Error(`Invalid job type: ${/** @type {Job} */ (job).type}`);
+  }
+}
+
+self.addEventListener("message", (/** @type {MessageEvent<Job>} */ event) => {
+  try {
+    const result = run(event.data);
+    post({ type: "done", result });
+  } catch (error) {
+    post({ type: "error", message: error.message });
+  }
+});
@@ -0,0 +1,349 @@
+/**
+ * @typedef {Object} Shortcut
+ * @property {string} id - Unique command ID.
+ * @property {string} description - Description of the command, listed in the help overlay.
+ * @property {string} group - Group the command is listed under in the help overlay.
+ * @property {string[]} keys - Key combinations running the command, such as "Mod+Shift+Z" or "?".
+ * "Mod" stands for Cmd on Apple platforms and Ctrl elsewhere.
+ * @property {(event: KeyboardEvent | null) => void} run - Runs the command. Receives null when run by ID.
+ * @property {() => void} [release] - Runs once the key is released, for commands that last while it is held. Optional.
+ * @property {boolean} [repeat] - Whether holding the key repeats the command. Defaults to false.
+ */
+
+/**
+ * @typedef {Object} ShortcutEntry
+ * @property {string} clientId - ID of the client that registered the shortcut.
+ * @property {Shortcut} shortcut - Registered shortcut.
+ */
+
+const isApplePlatform = /Mac|iPhone|iPad/.test(navigator.userAgent);
+
+const modifiers = ["Mod", "Ctrl", "Alt", "Shift", "Meta"];
+
+/** @type {Record<string, string>} */
+const modifierLabels = isApplePlatform
+  ? { Mod: "⌘", Ctrl: "⌃", Alt: "⌥", Shift: "⇧", Meta: "⌘" }
+  : { Mod: "Ctrl", Ctrl: "Ctrl", Alt: "Alt", Shift: "Shift", Meta: "Meta" };
+
+/** @type {Record<string, string>} */
+const keyLabels = {
+  Escape: "Esc",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+/**
+ * Registered shortcuts by command ID.
+ *
+ * @type {Map<string, ShortcutEntry>}
+ */
+const registry = new Map();
+
+/**
+ * Registered shortcuts by key combination, see getCombination().
+ *
+ * @type {Map<string, Shortcut>}
+ */
+const bindings = new Map();
+
+/**
+ * Shortcuts waiting for their key to be released, by key.
+ *
+ * @type {Map<string, Shortcut>}
+ */
+const held = new Map();
+
+/**
+ * Normalizes a key name, so that letters match regardless of case.
+ *
+ * @param {string} key - Key name, as in KeyboardEvent.key.
+ * @returns {string}
+ */
+const normalizeKey = (key) => {
+  if (key == " ") return "Space";
+  return key.length == 1 ? key.toLowerCase() : key;
+};
+
+/**
+ * Returns the canonical form of a key combination, shared by equivalent shortcuts and key events.
+ * Shift is left out for symbols, whose key already depends on it and on the keyboard layout.
+ *
+ * @param {string} key - Normalized key name.
+ * @param {Object} pressed - Pressed modifiers.
+ * @param {boolean} pressed.ctrl
+ * @param {boolean} pressed.alt
+ * @param {boolean} pressed.shift
+ * @param {boolean} pressed.meta
+ * @returns {string}
+ */
+const getCombination = (key, { ctrl, alt, shift, meta }) => {
+  const isSymbol = key.length == 1 && key.toLowerCase() == key.toUpperCase();
+  return [
+    ctrl && "Ctrl",
+    alt && "Alt",
+    shift && !isSymbol && "Shift",
+    meta && "Meta",
+    key,
+  ]
+    .filter(Boolean)
+    .join("+");
+};
+
+/**
+ * Splits a key combination into its modifiers and key. A trailing "+" is the key itself, as in "Mod++".
+ *
+ * @param {string} keys - Key combination, such as "Mod+Shift+Z".
+ * @returns {{ modifiers: string[], key: string }}
+ * @throws {Error} Throws if the combination has no key or an unknown modifier.
+ */
+const splitKeys = (keys) => {
+  const key = keys.endsWith("+") ? "+" : keys.slice(keys.lastIndexOf("+") + 1);
+  const parts = keys.slice(0, keys.length - key.length).split("+");
+  const pressed = parts.filter((part) => part != "");
+
+  if (key == "") {
+    throw new Error(`Missing key in shortcut: ${keys}`);
+  }
+
+  for (const modifier of pressed) {
+    if (!modifiers.includes(modifier)) {
+      throw new Error(`Invalid modifier in shortcut: ${keys}`);
+    }
+  }
+
+  return { modifiers: pressed, key };
+};
+
+/**
+ * Parses a key combination into its canonical form, resolving "Mod" for the current platform.
+ *
+ * @param {string} keys - Key combination, such as "Mod+Shift+Z".
+ * @returns {string}
+ */
+const parseKeys = (keys) => {
+  const { modifiers, key } = splitKeys(keys);
+  const hasMod = modifiers.includes("Mod");
+
+  return getCombination(normalizeKey(key), {
+    ctrl: modifiers.includes("Ctrl") || (hasMod && !isApplePlatform),
+    alt: modifiers.includes("Alt"),
+    shift: modifiers.includes("Shift"),
+    meta: modifiers.includes("Meta") || (hasMod && isApplePlatform),
+  });
+};
+
+/**
+ * Returns the labels of the modifiers and key of a combination, as shown on the current platform.
+ *
+ * @param {string} keys - Key combination, such as "Mod+Shift+Z".
+ * @returns {string[]}
+ */
+const formatKeys = (keys) => {
+  const { modifiers, key } = splitKeys(keys);
+  const keyLabel =
+    keyLabels[key] ?? (key.length == 1 ? key.toUpperCase() : key);
+  return [...modifiers.map((modifier) => modifierLabels[modifier]), keyLabel];
+};
+
+/**
+ * Registers a shortcut.
+ *
+ * @param {string} clientId - ID of the registering client.
+ * @param {Shortcut} shortcut - Shortcut to register.
+ * @throws {Error} Throws if the command ID is taken, or if a key combination is bound to another command.
+ */
+const register = (clientId, shortcut) => {
+  if (registry.has(shortcut.id)) {
+    throw new Error(`Shortcut command ${shortcut.id} already exists.`);
+  }
+
+  const combinations = shortcut.keys.map(parseKeys);
+  for (const [i, combination] of combinations.entries()) {
+    const other = bindings.get(combination);
+    if (other || combinations.indexOf(combination) != i) {
+      const otherId = other?.id ?? shortcut.id;
+      throw new Error(
+        `Shortcut ${shortcut.keys[i]} of ${shortcut.id} conflicts with ${otherId}.`,
+      );
+    }
+  }
+
+  registry.set(shortcut.id, { clientId, shortcut });
+  for (const combination of combinations) {
+    bindings.set(combination, shortcut);
+  }
+};
+
+/**
+ * Unregisters a shortcut by command ID, releasing it first if its key is held.
+ *
+ * @param {string} id - Command ID.
+ */
+const unregister = (id) => {
+  if (!registry.has(id)) return;
+
+  const { shortcut } = registry.get(id);
+  for (const [key, heldShortcut] of held) {
+    if (heldShortcut != shortcut) continue;
+    held.delete(key);
+    shortcut.release();
+  }
+
+  for (const keys of shortcut.keys) {
+    bindings.delete(parseKeys(keys));
+  }
+  registry.delete(id);
+};
+
+/**
+ * Unregisters every shortcut registered by a client.
+ *
+ * @param {string} clientId - Client ID.
+ */
+const cleanup = (clientId) => {
+  for (const [id, entry] of registry) {
+    if (entry.clientId == clientId) unregister(id);
+  }
+};
+
+/**
+ * Runs a command by ID, as if its shortcut was pressed.
+ *
+ * @param {string} id - Command ID.
+ * @throws {Error} Throws if no command is registered with this ID.
+ */
+const run = (id) => {
+  if (!registry.has(id)) {
+    throw new Error(`Shortcut command ${id} does not exist.`);
+  }
+
+  registry.get(id).shortcut.run(null);
+};
+
+/**
+ * Returns every registered shortcut, in registration order.
+ *
+ * @returns {Shortcut[]}
+ */
+const getShortcuts = () => {
+  return [...registry.values()].map(({ shortcut }) => shortcut);
+};
+
+/**
+ * Returns whether a key event comes from a control that takes text input.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+const isTyping = (event) => {
+  // Targets inside shadow roots are retargeted to their host, the original one comes first in the path
+  const target = event.composedPath()[0];
+  if (!(target instanceof HTMLElement)) return false;
+
+  return (
+    target.isContentEditable ||
+    ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName)
+  );
+};
+
+/** @param {KeyboardEvent} event */
+const handleKeyDown = (event) => {
+  if (event.defaultPrevented || isTyping(event)) return;
+
+  const key = normalizeKey(event.key);
+  const shortcut = bindings.get(
+    getCombination(key, {
+      ctrl: event.ctrlKey,
+      alt: event.altKey,
+      shift: event.shiftKey,
+      meta: event.metaKey,
+    }),
+  );
+  if (!shortcut) return;
+
+  event.preventDefault();
+  if (event.repeat && !shortcut.repeat) return;
+
+  if (shortcut.release) held.set(key, shortcut);
+  shortcut.run(event);
+};
+
+/** @param {KeyboardEvent} event */
+const handleKeyUp = (event) => {
+  const key = normalizeKey(event.key);
+  const shortcut = held.get(key);
+  if (!shortcut) return;
+
+  held.delete(key);
+  shortcut.release();
+};
+
+/**
+ * Releases every held shortcut, whose key up is missed once the window loses focus.
+ */
+const handleBlur = () => {
+  const shortcuts = [...held.values()];
+  held.clear();
+  for (const shortcut of shortcuts) {
+    shortcut.release();
+  }
+};
+
+window.addEventListener("keydown", handleKeyDown);
+window.addEventListener("keyup", handleKeyUp);
+window.addEventListener("blur", handleBlur);
+
+class ShortcutClient {
+  id;
+
+  /**
+   * Creates a new shortcut registry client.
+   */
+  constructor() {
+    this.id = crypto.randomUUID();
+  }
+
+  /**
+   * Registers a shortcut for this client.
+   *
+   * @param {Shortcut} shortcut - Shortcut to register.
+   * @throws {Error} Throws if the command ID is taken, or if a key combination is bound to another command.
+   */
+  register(shortcut) {
+    register(this.id, shortcut);
+  }
+
+  /**
+   * Unregisters a shortcut by command ID.
+   *
+   * @param {string} id - Command ID.
+   */
+  unregister(id) {
+    unregister(id);
+  }
+
+  /**
+   * Unregisters every shortcut registered by this client.
+   */
+  cleanup() {
+    cleanup(this.id);
+  }
+}
+
+/**
+ * Creates a new shortcut registry client and returns it.
+ *
+ * @returns {ShortcutClient}
+ */
+const createClient = () => new ShortcutClient();
+
+const shortcutManager = {
+  run,
+  getShortcuts,
+  formatKeys,
+  createClient,
+};
+
+export default shortcutManager;
@@ -1,6 +1,7 @@
 import store from "/lib/store/store.js";
 
-const scaleValues = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3, 4];
+// Small enough to fit images many times larger than the canvas, see CanvasControl.fitToBounds()
+const scaleValues = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3, 4];
 
 /**
  * Returns the next larger scale value in sequence.
@@ -59,7 +60,7 @@ export const scaleDown = (currentScale) => {
  * @returns {boolean}
  */
 export const canScaleUp = (currentScale) => {
-  return getNextScale(currentScale) == currentScale;
+  return getNextScale(currentScale) != currentScale;
 };
 
 /**
@@ -69,7 +70,7 @@ export const canScaleUp = (currentScale) => {
  * @returns {boolean}
  */
 export const canScaleDown = (currentScale) => {
-  return getPreviousScale(currentScale) == currentScale;
+  return getPreviousScale(currentScale) != currentScale;
 };
 
 /**
@@ -83,3 +84,56 @@ export const getMaxScale = () => scaleValues[scaleValues.length - 1];
  * @returns {number}
  */
 export const getMinScale = () => scaleValues[0];
+
+/**
+ * Resets every pixel of the active mask to neutral and takes a history snapshot.
+ */
+export const clearMask = () => {
+  if (store.get("mask") == null) return;
+
+  store.set("mask", null);
+  store.snapshot();
+};
+
+/**
+ * Returns the index of the first snapshot in history of the active upload.
+ * Snapshots before it hold earlier uploads, or predate the first one.
+ *
+ * @returns {number}
+ */
+export const getHistoryStartIndex = () => {
+  const original = store.get("original");
+  let index = store.history.getIndex();
+  while (index > 0 && store.history.get(index - 1).original == original) {
+    index--;
+  }
+
+  return index;
+};
+
+/**
+ * Returns the index of the last snapshot in history of the active upload.
+ * Snapshots after it hold later uploads, which undo has gone back from.
+ *
+ * @returns {number}
+ */
+export const getHistoryEndIndex = () => {
+  const length = store.history.getLength();
+  const original = store.get("original");
+  let index = store.history.getIndex();
+  while (
+    index < length - 1 &&
+    store.history.get(index + 1).original == original
+  ) {
+    index++;
+  }
+
+  return index;
+};
+
+/**
+ * Returns the bitmap of the active image as it was uploaded, at the start of its history.
+ *
+ * @returns {ImageBitmap | null}
+ */
+export const getOriginalBitmap = () => store.get("original");
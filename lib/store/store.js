@@ -1,4 +1,12 @@
 import * as helpers from "/lib/store/helpers.js";
+import historyEvent from "/lib/events/history-event.js";
+
+/** @import { ColorMap } from "/lib/color-maps.js" */
+/** @import { EnergyFunction } from "/lib/seam-carving/energy.js" */
+/** @import { EnergyMode } from "/lib/seam-carving/seam-finder.js" */
+/** @import { SeamDirection } from "/lib/seam-carving/seam-ops.js" */
+/** @import { SeamIndex } from "/lib/seam-carving/seam-index.js" */
+/** @import { Mask, MaskBrush } from "/lib/seam-carving/mask.js" */
 
 /**
  * @typedef {Object} State
@@ -8,6 +16,26 @@ import * as helpers from "/lib/store/helpers.js";
  *
  * @property {ImageData | null} image - Active image data. Defaults to null.
  * @property {ImageBitmap | null} bitmap - Active image bitmap. Defaults to null.
+ * @property {Mask | null} mask - Protection and removal mask of the active image. Defaults to null, which leaves every pixel neutral.
+ * @property {ImageBitmap | null} original - Bitmap of the active image as it was uploaded, shared by every snapshot carving it. Defaults to null.
+ * @property {MaskBrush | null} maskBrush - Brush painting on the mask. Defaults to null, which disables painting.
+ *
+ * @property {EnergyFunction} energyFunction - Energy function of the backward seam cost criterion. Defaults to "gradient".
+ * @property {EnergyMode} energyMode - Seam cost criterion. Defaults to "backward".
+ * @property {SeamDirection} direction - Direction of the seams removed one at a time, as by playback. Defaults to "vertical".
+ * @property {number | null} targetWidth - Width to retarget the active image to. Defaults to null, which keeps the current width.
+ * @property {number | null} targetHeight - Height to retarget the active image to. Defaults to null, which keeps the current height.
+ * @property {SeamDirection[]} seamOrder - Directions of the seams removed by the latest carving operation, in order. Defaults to empty.
+ * @property {SeamIndex | null} seamIndex - Multi-size index of the latest indexed image. Defaults to null.
+ *
+ * @property {boolean} showEnergy - Whether the energy heatmap is drawn over the image. Defaults to false.
+ * @property {ColorMap} energyColorMap - Color map of the energy heatmap. Defaults to "viridis".
+ * @property {number} energyOpacity - Opacity of the energy heatmap, between 0 and 1. Defaults to 0.75.
+ * @property {boolean} showCumulative - Whether the cumulative energy matrix is revealed over the image. Defaults to false.
+ * @property {number} cumulativeRowsPerSecond - Speed at which the cumulative energy matrix is revealed. Defaults to 60.
+ * @property {boolean} showComparison - Whether the original image, scaled and cropped to the carved size, is laid out next to it. Defaults to false.
+ * @property {boolean} showSplit - Whether a divider splits the image between its original and carved versions. Defaults to false.
+ * @property {"stretched" | "full"} splitOriginal - Whether the original image is stretched to the carved size or left at its full size. Defaults to "stretched".
  */
 
 /** @type {State} */
@@ -18,6 +46,26 @@ const defaultState = {
 
   image: null,
   bitmap: null,
+  mask: null,
+  original: null,
+  maskBrush: null,
+
+  energyFunction: "gradient",
+  energyMode: "backward",
+  direction: "vertical",
+  targetWidth: null,
+  targetHeight: null,
+  seamOrder: [],
+  seamIndex: null,
+
+  showEnergy: false,
+  energyColorMap: "viridis",
+  energyOpacity: 0.75,
+  showCumulative: false,
+  cumulativeRowsPerSecond: 60,
+  showComparison: false,
+  showSplit: false,
+  splitOriginal: "stretched",
 };
 
 /** @type {State} */
@@ -67,6 +115,7 @@ const reset = () => {
   history = [{ ...state }];
   historyIndex = 0;
   notifyAll();
+  emitHistoryChange();
 };
 
 /**
@@ -165,10 +214,24 @@ const notifyAll = () => {
   });
 };
 
+/**
+ * @typedef {Object} HistoryChange
+ * @property {number} index - Index of the snapshot the state was last restored from or saved to.
+ * @property {number} length - Number of snapshots in history.
+ */
+
 /** @type {State[]} */
 let history = [{ ...state }];
 let historyIndex = 0;
 
+/**
+ * Emits the current position in history. Snapshots change no state property,
+ * so this is the only way to learn about them.
+ */
+const emitHistoryChange = () => {
+  historyEvent.emit({ index: historyIndex, length: history.length });
+};
+
 /**
  * Takes a snapshot of the current state and adds it to history.
  */
@@ -178,6 +241,51 @@ const snapshot = () => {
 
   history.push({ ...state });
   historyIndex++;
+  emitHistoryChange();
+};
+
+/**
+ * State properties of the view, which moving through history leaves as they are.
+ * Snapshots hold the view as it was when they were taken, such as before the image was fit to the canvas.
+ *
+ * @type {(keyof State)[]}
+ */
+const viewKeys = [
+  "x",
+  "y",
+  "scale",
+  "showEnergy",
+  "energyColorMap",
+  "energyOpacity",
+  "showCumulative",
+  "cumulativeRowsPerSecond",
+  "showComparison",
+  "showSplit",
+  "splitOriginal",
+  "maskBrush",
+];
+
+/**
+ * Returns whether a state property belongs to the view, which history leaves as it is.
+ * Changing such a property needs no snapshot.
+ *
+ * @param {keyof State} key - State property key.
+ * @returns {boolean}
+ */
+const isViewKey = (key) => viewKeys.includes(key);
+
+/**
+ * Restores the state from a snapshot in history, except for the view, and notifies all subscribers.
+ *
+ * @param {number} index - Index of the snapshot to restore.
+ */
+const restore = (index) => {
+  const view = Object.fromEntries(viewKeys.map((key) => [key, state[key]]));
+
+  historyIndex = index;
+  state = { ...history[historyIndex], ...view };
+  notifyAll();
+  emitHistoryChange();
 };
 
 /**
@@ -185,10 +293,7 @@ const snapshot = () => {
  */
 const undo = () => {
   if (historyIndex <= 0) return;
-
-  historyIndex--;
-  state = { ...history[historyIndex] };
-  notifyAll();
+  restore(historyIndex - 1);
 };
 
 /**
@@ -196,10 +301,52 @@ const undo = () => {
  */
 const redo = () => {
   if (historyIndex >= history.length - 1) return;
+  restore(historyIndex + 1);
+};
 
-  historyIndex++;
-  state = { ...history[historyIndex] };
-  notifyAll();
+/**
+ * Returns the number of snapshots in history.
+ *
+ * @returns {number}
+ */
+const getHistoryLength = () => history.length;
+
+/**
+ * Returns the index of the snapshot the state was last restored from or saved to.
+ *
+ * @returns {number}
+ */
+const getHistoryIndex = () => historyIndex;
+
+/**
+ * Returns a read-only snapshot from history.
+ *
+ * @param {number} index - Index of the snapshot.
+ * @returns {Readonly<State>}
+ * @throws {Error} Throws if index is out of bounds.
+ */
+const getSnapshot = (index) => {
+  if (index < 0 || index >= history.length) {
+    throw new Error("Index is out of bounds.");
+  }
+
+  return history[index];
+};
+
+/**
+ * Jumps to the specified snapshot in history at once, updates the state and notifies all subscribers.
+ * Unlike undo() and redo() called repeatedly, subscribers are notified only once.
+ *
+ * @param {number} index - Index of the snapshot to jump to.
+ * @throws {Error} Throws if index is out of bounds.
+ */
+const jumpTo = (index) => {
+  if (index < 0 || index >= history.length) {
+    throw new Error("Index is out of bounds.");
+  }
+
+  if (index == historyIndex) return;
+  restore(index);
 };
 
 /**
@@ -264,6 +411,7 @@ const loadTab = (index) => {
   historyIndex = history.length - 1;
   tabIndex = index;
   notifyAll();
+  emitHistoryChange();
 };
 
 /**
@@ -318,6 +466,13 @@ const store = {
   redo,
   canUndo,
   canRedo,
+  isViewKey,
+  history: {
+    getLength: getHistoryLength,
+    getIndex: getHistoryIndex,
+    get: getSnapshot,
+    jumpTo,
+  },
   tabs: {
     getAll: getTabs,
     getSelected: getSelectedTab,
@@ -1,3 +1,5 @@
+/** @import { IconNode } from "lucide" */
+
 /**
  * Utility tagged template for syntax highlighting without processing HTML.
  *
@@ -95,6 +97,47 @@ function uncached_getCSSVariable(variable) {
  */
 export const getCSSVariable = cache(uncached_getCSSVariable);
 
+/**
+ * Converts a lucide icon to paths that can be stroked on a canvas, in its 24x24 viewbox.
+ *
+ * @param {IconNode} icon - Lucide icon.
+ * @returns {Path2D[]} One path per element of the icon.
+ * @throws {Error} Throws if the icon holds an element other than a path, rectangle, line or circle.
+ */
+export function getIconPaths(icon) {
+  return icon.map(([tag, attributes]) => {
+    const get = (/** @type {string} */ name) => Number(attributes[name] ?? 0);
+    const path = new Path2D();
+
+    switch (tag) {
+      case "path":
+        return new Path2D(String(attributes.d));
+
+      case "rect":
+        path.roundRect(
+          get("x"),
+          get("y"),
+          get("width"),
+          get("height"),
+          get("rx"),
+        );
+        return path;
+
+      case "line":
+        path.moveTo(get("x1"), get("y1"));
+        path.lineTo(get("x2"), get("y2"));
+        return path;
+
+      case "circle":
+        path.arc(get("cx"), get("cy"), get("r"), 0, 2 * Math.PI);
+        return path;
+
+      default:
+        throw new Error(`Unsupported icon element: ${tag}`);
+    }
+  });
+}
+
 /**
  * Checks if a file is an image.
  *
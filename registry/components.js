@@ -1,2 +1,6 @@
 import "/components/playground/playground.js";
 import "/components/toaster/toaster.js";
+import "/components/toolbar/toolbar.js";
+import "/components/panels/parameters-panel.js";
+import "/components/panels/tools-panel.js";
+import "/components/shortcut-help/shortcut-help.js";
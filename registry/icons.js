@@ -20,40 +20,59 @@ import {
   SkipForward,
   Slice,
   SquarePlus,
+  StepBack,
+  StepForward,
   Undo2,
   Upload,
+  X,
   ZoomIn,
   ZoomOut,
   createIcons,
 } from "lucide";
 
-createIcons({
-  icons: {
-    ChevronDown,
-    ChevronUp,
-    CircleQuestionMark,
-    Eraser,
-    FastForward,
-    Paintbrush,
-    PanelBottomClose,
-    PanelBottomOpen,
-    PanelLeftClose,
-    PanelLeftOpen,
-    PanelRightClose,
-    PanelRightOpen,
-    PanelTopClose,
-    PanelTopOpen,
-    Pause,
-    Play,
-    Redo2,
-    SkipBack,
-    SkipForward,
-    Slice,
-    SquarePlus,
-    Undo2,
-    Upload,
-    ZoomIn,
-    ZoomOut,
-    createIcons,
-  },
-});
+/**
+ * Icons that can be placed anywhere in the markup with a data-lucide placeholder, such as
+ * <i data-lucide="undo-2"></i>.
+ */
+export const icons = {
+  ChevronDown,
+  ChevronUp,
+  CircleQuestionMark,
+  Eraser,
+  FastForward,
+  Paintbrush,
+  PanelBottomClose,
+  PanelBottomOpen,
+  PanelLeftClose,
+  PanelLeftOpen,
+  PanelRightClose,
+  PanelRightOpen,
+  PanelTopClose,
+  PanelTopOpen,
+  Pause,
+  Play,
+  Redo2,
+  SkipBack,
+  SkipForward,
+  Slice,
+  SquarePlus,
+  StepBack,
+  StepForward,
+  Undo2,
+  Upload,
+  X,
+  ZoomIn,
+  ZoomOut,
+};
+
+/**
+ * Replaces every icon placeholder under the specified root with its SVG.
+ * Placeholders inside shadow roots are out of reach of the document, each root must be rendered on its own.
+ *
+ * @param {Document | Element | DocumentFragment} [root=document] - Root to search for placeholders.
+ */
+export function renderIcons(root = document) {
+  createIcons({ icons, root });
+}
+
+renderIcons();